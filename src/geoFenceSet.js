@@ -0,0 +1,195 @@
+/**
+ * Creates a GeoFenceSet instance.
+ *
+ * A fence set monitors many named regions of the same GeoFire at once. Each region is a GeoQuery, and all of them
+ * share their geohash listeners and clean up timer through the listener pool of the GeoFire, so regions querying the
+ * same geohash range listen to it once. Listeners are only shared between identical ranges: overlapping regions of
+ * different sizes or centers query different ranges, and listen to each of them even where the ranges overlap.
+ *
+ * @constructor
+ * @this {GeoFenceSet}
+ * @param {Object} adapter The adapter used to read the GeoFire data, or the GeoListenerPool of the GeoFire.
+ * @param {string} firebaseDst The path where the GeoFire data is stored.
+ * @param {Object=} storage The storage options describing the layout of the locations.
+ * @param {Object=} queryOptions The options of the query of every region.
+ */
+var GeoFenceSet = function(adapter, firebaseDst, storage, queryOptions) {
+  /*********************/
+  /*  PRIVATE METHODS  */
+  /*********************/
+  /**
+   * Throws an error if the provided region id is invalid.
+   *
+   * @param {string} regionId The region id to validate.
+   */
+  function _validateRegionId(regionId) {
+    if (typeof regionId !== "string" || regionId.length === 0) {
+      throw new Error("regionId must be a non-empty string");
+    }
+  }
+
+  /**
+   * Throws an error if this fence set has been cancelled.
+   *
+   * @param {string} methodName The name of the public method being called.
+   */
+  function _assertNotCancelled(methodName) {
+    if (_cancelled) {
+      throw new Error("Cannot call " + methodName + "() on a GeoFenceSet which has been cancelled");
+    }
+  }
+
+  /**
+   * Attaches a fence set callback to the query of a region.
+   *
+   * @param {Object} registration The fence set callback registration, as { eventType, callback, regions }.
+   * @param {string} regionId The id of the region.
+   */
+  function _attachCallback(registration, regionId) {
+    registration.regions[regionId] = _regions[regionId].on(registration.eventType, function() {
+      // Pass the id of the region ahead of the parameters of the query callback
+      registration.callback.apply(null, [regionId].concat(Array.prototype.slice.call(arguments)));
+    });
+  }
+
+  /********************/
+  /*  PUBLIC METHODS  */
+  /********************/
+  /**
+   * Adds a named region to this fence set. The callbacks of this fence set fire for the keys within the region
+   * right away, like new callbacks of a GeoQuery.
+   *
+   * @param {string} regionId The id of the region, unique within this fence set.
+   * @param {Object} regionCriteria The criteria which specifies the region's center and radius, its bounds or its
+   * polygon, as for a GeoQuery.
+   */
+  this.addRegion = function(regionId, regionCriteria) {
+    _assertNotCancelled("addRegion");
+    _validateRegionId(regionId);
+    if (_regions.hasOwnProperty(regionId)) {
+      throw new Error("Region '" + regionId + "' already exists in this GeoFenceSet");
+    }
+
+    _regions[regionId] = new GeoQuery(_pool, firebaseDst, regionCriteria, storage, queryOptions);
+    _registrations.forEach(function(registration) {
+      _attachCallback(registration, regionId);
+    });
+  };
+
+  /**
+   * Removes a region from this fence set. No event fires for the keys within the region.
+   *
+   * @param {string} regionId The id of the region to remove.
+   */
+  this.removeRegion = function(regionId) {
+    _assertNotCancelled("removeRegion");
+    _validateRegionId(regionId);
+    if (!_regions.hasOwnProperty(regionId)) {
+      throw new Error("Region '" + regionId + "' does not exist in this GeoFenceSet");
+    }
+
+    _regions[regionId].cancel();
+    delete _regions[regionId];
+    _registrations.forEach(function(registration) {
+      delete registration.regions[regionId];
+    });
+  };
+
+  /**
+   * Returns the ids of the regions of this fence set.
+   *
+   * @return {Array.<string>} The ids of the regions.
+   */
+  this.regions = function() {
+    return Object.keys(_regions);
+  };
+
+  /**
+   * Returns the query of a region of this fence set, for instance to update its criteria.
+   *
+   * @param {string} regionId The id of the region.
+   * @return {?GeoQuery} The query of the region, or null if there is no such region.
+   */
+  this.region = function(regionId) {
+    return _regions.hasOwnProperty(regionId) ? _regions[regionId] : null;
+  };
+
+  /**
+   * Attaches a callback to every region of this fence set, present and future, which will be run when the provided
+   * eventType fires for a region. The event types are the ones of GeoQuery.on(). The "ready" callbacks are passed the
+   * id of the region which is ready, the "changes", "clusters_changed", "density_changed" and "error" callbacks the
+   * id of the region and the value passed by its query, all other callbacks are passed five parameters: (1) the id of the
+   * region, (2) the location's key, (3) the location's [latitude, longitude] pair, (4) the distance from the location
+   * to the region's center and (5) the payload stored with the location, or null if it has none.
+   *
+   * @param {string} eventType The event type for which to attach the callback.
+   * @callback callback Callback function to be called when an event of type eventType fires.
+   * @return {GeoCallbackRegistration} A callback registration which can be used to cancel the provided callback.
+   */
+  this.on = function(eventType, callback) {
+    _assertNotCancelled("on");
+    validateQueryEventType(eventType, queryOptions);
+    if (typeof callback !== "function") {
+      throw new Error("callback must be a function");
+    }
+
+    var registration = {
+      eventType: eventType,
+      callback: callback,
+      regions: {}
+    };
+    Object.keys(_regions).forEach(function(regionId) {
+      _attachCallback(registration, regionId);
+    });
+    _registrations.push(registration);
+
+    return new GeoCallbackRegistration(function() {
+      Object.keys(registration.regions).forEach(function(regionId) {
+        registration.regions[regionId].cancel();
+      });
+      registration.regions = {};
+      var index = _registrations.indexOf(registration);
+      if (index !== -1) {
+        _registrations.splice(index, 1);
+      }
+    });
+  };
+
+  /**
+   * Terminates this fence set and the queries of all of its regions. This fence set can no longer be used in the
+   * future.
+   */
+  this.cancel = function() {
+    if (_cancelled) {
+      return;
+    }
+    _cancelled = true;
+
+    Object.keys(_regions).forEach(function(regionId) {
+      _regions[regionId].cancel();
+    });
+    _regions = {};
+    _registrations = [];
+  };
+
+  /*****************/
+  /*  CONSTRUCTOR  */
+  /*****************/
+  if (typeof firebaseDst !== "string") {
+    throw new Error("firebaseDst must be a string");
+  }
+
+  // Validate the query options once for all regions
+  queryOptions = queryOptions || {};
+  validateQueryOptions(queryOptions);
+
+  // The listener pool shared by the queries of all regions
+  var _pool = (adapter instanceof GeoListenerPool) ? adapter : new GeoListenerPool(adapter);
+
+  // The queries of the regions, by region id, and the callbacks attached to all of them
+  var _regions = {};
+  var _registrations = [];
+
+  // Whether or not this fence set has been cancelled
+  var _cancelled = false;
+};
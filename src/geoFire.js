@@ -3,10 +3,42 @@
  *
  * @constructor
  * @this {GeoFire}
- * @param {String} firebase from nativescript-plugin-firebase
+ * @param {Object} firebase nativescript-plugin-firebase, a Firebase database reference or a GeoFire adapter.
  * @param {String} firebaseDst A path where the GeoFire data will be stored.
+ * @param {Object=} options The storage layout of the locations: the geohash precision, the geohashField, the
+ * locationField as a field name or a [latitudeField, longitudeField] pair, the dataField, the timestampField and
+ * whether to write the geohash as priority.
  */
-var GeoFire = function(firebase, firebaseDst) {
+var GeoFire = function(firebase, firebaseDst, options) {
+  /*********************/
+  /*  PRIVATE METHODS  */
+  /*********************/
+  /**
+   * Reads the locations within the provided geohash queries once.
+   *
+   * @param {Array.<Array.<string>>} queries The geohash queries as [start, end] pairs.
+   * @return {Promise.<Object>} A promise that is fulfilled with a mapping of the keys found to their GeoFire object.
+   */
+  function _readGeohashQueries(queries) {
+    return Promise.all(queries.map(function(query) {
+      return _adapter.once(firebaseDst, {
+        child: _storage.geohashField,
+        start: query[0],
+        end: query[1]
+      });
+    })).then(function(values) {
+      var geoFireObjs = {};
+      values.forEach(function(value) {
+        if (value !== null && typeof value === "object") {
+          Object.keys(value).forEach(function(key) {
+            geoFireObjs[key] = value[key];
+          });
+        }
+      });
+      return geoFireObjs;
+    });
+  }
+
   /********************/
   /*  PUBLIC METHODS  */
   /********************/
@@ -24,20 +56,24 @@ var GeoFire = function(firebase, firebaseDst) {
    *
    * If any provided key already exists in this GeoFire, it will be overwritten with the new location value.
    *
+   * A payload object can be stored alongside each location. In the mapping form, a location with a payload is given
+   * as a { location, data } object. The time of the write is recorded with every location, as a server timestamp.
+   *
    * @param {string|Object} keyOrLocations The key representing the location to add or a mapping of key - location pairs which
    * represent the locations to add.
    * @param {Array.<number>|undefined} location The [latitude, longitude] pair to add.
+   * @param {Object|undefined} data The payload to store with the location.
    * @return {Promise.<>} A promise that is fulfilled when the write is complete.
    */
-  this.set = function(keyOrLocations, location) {
+  this.set = function(keyOrLocations, location, data) {
     var locations;
     if (typeof keyOrLocations === "string" && keyOrLocations.length !== 0) {
       // If this is a set for a single location, convert it into a object
       locations = {};
-      locations[keyOrLocations] = location;
+      locations[keyOrLocations] = (typeof data === "undefined") ? location : { location: location, data: data };
     } else if (typeof keyOrLocations === "object") {
-      if (typeof location !== "undefined") {
-        throw new Error("The location argument should not be used if you pass an object to set().");
+      if (typeof location !== "undefined" || typeof data !== "undefined") {
+        throw new Error("The location and data arguments should not be used if you pass an object to set().");
       }
       locations = keyOrLocations;
     } else {
@@ -47,21 +83,28 @@ var GeoFire = function(firebase, firebaseDst) {
     var newData = {};
 
     Object.keys(locations).forEach(function(key) {
-      validateKey(key);
+      validateKey(key, _storage.precision);
 
       var location = locations[key];
+      var data;
+      if (location !== null && typeof location === "object" && !Array.isArray(location)) {
+        // The location is given together with its payload
+        data = location.data;
+        location = location.location;
+      }
+
       if (location === null) {
         // Setting location to null is valid since it will remove the key
         newData[key] = null;
       } else {
         validateLocation(location);
 
-        var geohash = encodeGeohash(location);
-        newData[key] = encodeGeoFireObject(location, geohash);
+        var geohash = encodeGeohash(location, _storage.precision);
+        newData[key] = encodeGeoFireObject(location, geohash, data, _storage);
       }
     });
 
-    return firebase.update(firebaseDst, newData);
+    return _adapter.update(firebaseDst, newData);
   };
 
   /**
@@ -70,40 +113,50 @@ var GeoFire = function(firebase, firebaseDst) {
    * If the provided key does not exist, the returned promise is fulfilled with null.
    *
    * @param {string} key The key of the location to retrieve.
-   * @return {void}
+   * @return {Promise.<?Array.<number>>} A promise that is fulfilled with the location of the given key.
    */
   this.get = function(key) {
-    validateKey(key);
-
-    return firebase.query(
-              function(){},
-              firebaseDst,
-              {
-                  // Only when true this function will return the date in the promise as well!
-                  singleEvent: true,
-                  // order by company.country
-                  orderBy: {
-                      type: firebase.QueryOrderByType.CHILD,
-                      value: "since" // mandatory when type is 'child'
-                  },
-                  range: {
-                      type: firebase.QueryRangeType.EQUAL_TO,
-                      value: key
-                  },
-                  // (note that there's only 1 in this case anyway)
-                  limit: {
-                      type: firebase.QueryLimitType.LAST,
-                      value: 1
-                  }
-              }
-      ).then(function(dataSnapshot) {
-        var snapshotVal = dataSnapshot.val();
-        if (snapshotVal === null) {
-          return null;
-        } else {
-          return decodeGeoFireObject(snapshotVal);
-        }
+    validateKey(key, _storage.precision);
+
+    return _adapter.once(firebaseDst + "/" + key).then(function(snapshotVal) {
+      if (snapshotVal === null) {
+        return null;
+      } else {
+        return decodeGeoFireObject(snapshotVal, _storage);
+      }
+    });
+  };
+
+  /**
+   * Returns a promise fulfilled with a mapping of the provided keys to their locations.
+   *
+   * All keys are read in parallel. Keys which do not exist are mapped to null.
+   *
+   * @param {Array.<string>} keys The keys of the locations to retrieve.
+   * @return {Promise.<Object>} A promise that is fulfilled with a mapping of keys to their location or null.
+   */
+  this.getMany = function(keys) {
+    if (!Array.isArray(keys)) {
+      throw new Error("keys must be an array");
+    }
+    keys.forEach(function(key) {
+      validateKey(key, _storage.precision);
+    });
+
+    // Read each key only once, even if it is provided several times
+    var uniqueKeys = keys.filter(function(key, i) {
+      return keys.indexOf(key) === i;
+    });
+    var self = this;
+    return Promise.all(uniqueKeys.map(function(key) {
+      return self.get(key);
+    })).then(function(locations) {
+      var locationsByKey = {};
+      uniqueKeys.forEach(function(key, i) {
+        locationsByKey[key] = locations[i];
       });
+      return locationsByKey;
+    });
   };
 
   /**
@@ -118,14 +171,205 @@ var GeoFire = function(firebase, firebaseDst) {
     return this.set(key, null);
   };
 
+  /**
+   * Removes every key whose location was written more than the provided age ago. Keys without a recorded time of
+   * write are kept. The keys are removed in batches, one write per batch.
+   *
+   * @param {number} age The age, in milliseconds, beyond which keys are removed.
+   * @return {Promise.<number>} A promise that is fulfilled with the number of removed keys once all of them are
+   * removed.
+   */
+  this.purgeOlderThan = function(age) {
+    if (typeof age !== "number" || isNaN(age) || age < 0) {
+      throw new Error("age must be a number greater than or equal to 0");
+    }
+    var cutoff = Date.now() - age;
+
+    return _adapter.once(firebaseDst, {
+      child: _storage.timestampField,
+      start: 0,
+      end: cutoff
+    }).then(function(value) {
+      var keys = [];
+      if (value !== null && typeof value === "object") {
+        keys = Object.keys(value).filter(function(key) {
+          var timestamp = decodeGeoFireTimestamp(value[key], _storage);
+          return timestamp !== null && timestamp <= cutoff;
+        });
+      }
+
+      var removeBatch = function(start) {
+        if (start >= keys.length) {
+          return keys.length;
+        }
+        var newData = {};
+        keys.slice(start, start + g_PURGE_BATCH_SIZE).forEach(function(key) {
+          newData[key] = null;
+        });
+        return _adapter.update(firebaseDst, newData).then(function() {
+          return removeBatch(start + g_PURGE_BATCH_SIZE);
+        });
+      };
+      return removeBatch(0);
+    });
+  };
+
   /**
    * Returns a new GeoQuery instance with the provided queryCriteria.
    *
-   * @param {Object} queryCriteria The criteria which specifies the GeoQuery's center and radius.
+   * @param {Object} queryCriteria The criteria which specifies the GeoQuery's center and radius, its bounds or its polygon,
+   * and optionally its filter and where attributes, its distance units and whether its distances are ellipsoidal.
+   * @param {Object=} queryOptions The options tuning how the events of the GeoQuery fire, as described for
+   * GeoFire.query() in the README.
    * @return {GeoQuery} A new GeoQuery object.
    */
-  this.query = function(queryCriteria) {
-    return new GeoQuery(firebase, firebaseDst, queryCriteria);
+  this.query = function(queryCriteria, queryOptions) {
+    return new GeoQuery(_pool, firebaseDst, queryCriteria, _storage, queryOptions);
+  };
+
+  /**
+   * Returns a new GeoFenceSet instance, which monitors many named regions of this GeoFire at once.
+   *
+   * @param {Object=} queryOptions The options of the query of every region, as for query().
+   * @return {GeoFenceSet} A new GeoFenceSet object.
+   */
+  this.fenceSet = function(queryOptions) {
+    return new GeoFenceSet(_pool, firebaseDst, _storage, queryOptions);
+  };
+
+  /**
+   * Returns a promise fulfilled with the keys currently matching the provided queryCriteria.
+   *
+   * Unlike query(), the locations are read once and no listener is left behind.
+   *
+   * @param {Object} queryCriteria The criteria which specifies the query's center and radius, its bounds or its polygon,
+   * and optionally its filter and where attributes, its distance units and whether its distances are ellipsoidal.
+   * @return {Promise.<Array.<Object>>} A promise that is fulfilled with { key, location, distance, data } objects,
+   * sorted by ascending distance, in the units of the query, from the center of the query.
+   */
+  this.queryOnce = function(queryCriteria) {
+    validateCriteria(queryCriteria, /* requireCenterAndRadius */ true);
+    var center = queryCriteriaCenter(queryCriteria);
+
+    return _readGeohashQueries(queryCriteriaGeohashQueries(queryCriteria, _storage.precision)).then(function(geoFireObjs) {
+      var results = [];
+      Object.keys(geoFireObjs).forEach(function(key) {
+        var location = decodeGeoFireObject(geoFireObjs[key], _storage);
+        var distance = calculateDistance(location, center, queryCriteria.units, queryCriteria.ellipsoidal);
+        var data = decodeGeoFireData(geoFireObjs[key], _storage);
+        if (locationInQueryCriteria(location, distance, queryCriteria) &&
+            keyMatchesAttributeFilter(key, location, data, queryCriteria)) {
+          results.push({
+            key: key,
+            location: location,
+            distance: distance,
+            data: data
+          });
+        }
+      });
+      results.sort(function(result1, result2) {
+        return (result1.distance - result2.distance) || (result1.key < result2.key ? -1 : 1);
+      });
+      return results;
+    });
+  };
+
+  /**
+   * Returns a promise fulfilled with the number of keys matching the provided queryCriteria in each geohash cell.
+   *
+   * Like queryOnce(), the locations are read once and no listener is left behind.
+   *
+   * @param {Object} queryCriteria The criteria which specifies the query's center and radius, its bounds or its polygon,
+   * and optionally its filter and where attributes.
+   * @param {number} precision The length of the geohashes of the cells.
+   * @return {Promise.<Array.<Object>>} A promise that is fulfilled with the cells holding at least one key as
+   * { geohash, count, bounds } objects, sorted by geohash, where bounds are the bounds of the cell as
+   * [[south, west], [north, east]].
+   */
+  this.density = function(queryCriteria, precision) {
+    validatePrecision(precision);
+
+    return this.queryOnce(queryCriteria).then(function(results) {
+      return geohashCellCounts(results.map(function(result) {
+        return result.location;
+      }), precision);
+    });
+  };
+
+  /**
+   * Returns a promise fulfilled with the k keys closest to the provided center.
+   *
+   * The search radius starts small and doubles until k keys are confirmed to be within it: every location
+   * closer than the radius is part of the geohash queries read so far, so no unread location can be closer.
+   *
+   * @param {Array.<number>} center The [latitude, longitude] pair to search around.
+   * @param {number} k The number of keys to return.
+   * @param {Object=} options Can specify the maxRadius beyond which keys are ignored, the filter and where attributes
+   * which keys must pass, the distance units and whether distances are ellipsoidal, as in query criteria.
+   * @return {Promise.<Array.<Object>>} A promise that is fulfilled with up to k { key, location, distance, data }
+   * objects, sorted by ascending distance in the provided units.
+   */
+  this.nearest = function(center, k, options) {
+    validateLocation(center);
+    if (typeof k !== "number" || Math.round(k) !== k || k <= 0) {
+      throw new Error("k must be a positive integer");
+    }
+    options = options || {};
+    validateDistanceOptions(options);
+    var unitMeters = g_DISTANCE_UNITS[options.units || "km"];
+    var maxRadius = g_EARTH_MERI_CIRCUMFERENCE / (2*unitMeters);
+    if (typeof options.maxRadius !== "undefined") {
+      if (typeof options.maxRadius !== "number" || isNaN(options.maxRadius) || options.maxRadius < 0) {
+        throw new Error("maxRadius must be a number greater than or equal to 0");
+      }
+      maxRadius = Math.min(options.maxRadius, maxRadius);
+    }
+    validateAttributeFilter(options);
+
+    // Every location read so far, and the geohash queries already read
+    var candidates = {};
+    var queriesRead = {};
+
+    var search = function(radius) {
+      var queries = geohashQueries(center, radius*unitMeters, _storage.precision).filter(function(query) {
+        var queryStr = query[0] + ":" + query[1];
+        var isRead = queriesRead.hasOwnProperty(queryStr);
+        queriesRead[queryStr] = true;
+        return !isRead;
+      });
+
+      return _readGeohashQueries(queries).then(function(geoFireObjs) {
+        Object.keys(geoFireObjs).forEach(function(key) {
+          var location = decodeGeoFireObject(geoFireObjs[key], _storage);
+          var data = decodeGeoFireData(geoFireObjs[key], _storage);
+          if (keyMatchesAttributeFilter(key, location, data, options)) {
+            candidates[key] = {
+              key: key,
+              location: location,
+              distance: calculateDistance(location, center, options.units, options.ellipsoidal),
+              data: data
+            };
+          }
+        });
+
+        var confirmed = Object.keys(candidates).map(function(key) {
+          return candidates[key];
+        }).filter(function(candidate) {
+          return candidate.distance <= radius;
+        });
+        if (confirmed.length < k && radius < maxRadius) {
+          return search(Math.min(2*radius, maxRadius));
+        }
+
+        confirmed.sort(function(candidate1, candidate2) {
+          return (candidate1.distance - candidate2.distance) || (candidate1.key < candidate2.key ? -1 : 1);
+        });
+        return confirmed.slice(0, k);
+      });
+    };
+
+    // Start with a radius of one kilometer
+    return search(Math.min(1000/unitMeters, maxRadius));
   };
 
   /*****************/
@@ -134,11 +378,20 @@ var GeoFire = function(firebase, firebaseDst) {
   if (typeof firebaseDst !== "string") {
     throw new Error("firebaseDst must be a string");
   }
-  //TODO check firebase
+
+  // The storage layout of the locations
+  var _storage = geoFireStorageOptions(options);
+
+  // The adapter used to read and write the backend
+  var _adapter = toGeoFireAdapter(firebase, options);
+
+  // The listener pool shared by all queries of this GeoFire, so overlapping queries listen to each geohash range once
+  var _pool = new GeoListenerPool(_adapter);
 
 };
 
 
-GeoFire.distance = function(location1, location2) {
-  return calculateDistance(location1, location2);
+GeoFire.distance = function(location1, location2, options) {
+  options = options || {};
+  return calculateDistance(location1, location2, options.units, options.ellipsoidal);
 };
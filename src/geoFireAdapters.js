@@ -0,0 +1,486 @@
+/**
+ * GeoFire and GeoQuery only talk to their backend through an adapter, an object with the following methods:
+ *
+ *   update(path, data)            Writes a mapping of child paths to values (null removes a child) below path.
+ *                                 Returns a promise fulfilled when the write is complete.
+ *   once(path, range)             Reads the value at path once. If a range is provided, only the children whose
+ *                                 range.child value is within [range.start, range.end] are read. Returns a promise
+ *                                 fulfilled with the value, or null if there is none.
+ *   listen(path, range, onEvent, onError)
+ *                                 Listens continuously to the children of path within the range, calling
+ *                                 onEvent(eventType, key, value) with an eventType of "child_added",
+ *                                 "child_changed" or "child_removed", and onError(error) if the listener fails
+ *                                 once attached. Returns a promise fulfilled with a handle to pass to unlisten(),
+ *                                 or rejected if the listener fails to attach.
+ *   unlisten(handle)              Stops a listener created by listen().
+ *
+ * A range is an object of the form { child: "g", start: "9q8yy", end: "9q8z~" }.
+ *
+ * A listener whose first event already holds the whole range can fulfill its promise with a handle whose
+ * initialValue attribute is that value, as once() would return it, instead of passing its children to onEvent. The
+ * range is then not read a second time to load the initial data of a query.
+ */
+
+/**
+ * Creates a NativeScriptFirebaseAdapter instance, the adapter for nativescript-plugin-firebase.
+ *
+ * @constructor
+ * @this {NativeScriptFirebaseAdapter}
+ * @param {Object} firebase The nativescript-plugin-firebase module, or a MemoryFirebase.
+ */
+var NativeScriptFirebaseAdapter = function(firebase) {
+  /*********************/
+  /*  PRIVATE METHODS  */
+  /*********************/
+  /**
+   * Builds the nativescript-plugin-firebase query options which select the children within a range.
+   *
+   * @param {?Object} range The range of children to select, or null to select the whole value.
+   * @param {boolean} singleEvent Whether to read the value once instead of listening continuously.
+   * @return {Object} The options to pass to firebase.query().
+   */
+  function _queryOptions(range, singleEvent) {
+    if (range === null) {
+      return {
+        // Only when true the data is returned in the promise, otherwise it listens continuously
+        singleEvent: singleEvent,
+        orderBy: {
+          type: firebase.QueryOrderByType.KEY
+        }
+      };
+    }
+
+    var ranges = [];
+    if (typeof range.start !== "undefined") {
+      ranges.push({
+        type: firebase.QueryRangeType.START_AT,
+        value: range.start
+      });
+    }
+    if (typeof range.end !== "undefined") {
+      ranges.push({
+        type: firebase.QueryRangeType.END_AT,
+        value: range.end
+      });
+    }
+    return {
+      // Only when true the data is returned in the promise, otherwise it listens continuously
+      singleEvent: singleEvent,
+      orderBy: {
+        type: firebase.QueryOrderByType.CHILD,
+        value: range.child // mandatory when type is 'child'
+      },
+      ranges: ranges
+    };
+  }
+
+  /********************/
+  /*  PUBLIC METHODS  */
+  /********************/
+  this.update = function(path, data) {
+    return firebase.update(path, data);
+  };
+
+  this.once = function(path, range) {
+    return firebase.query(function() {}, path, _queryOptions(range || null, /* singleEvent */ true)).then(function(result) {
+      return (typeof result.value === "undefined") ? null : result.value;
+    });
+  };
+
+  this.listen = function(path, range, onEvent, onError) {
+    var onQueryEvent = function(result) {
+      if (result.error) {
+        if (typeof onError === "function") {
+          onError(result.error);
+        }
+      } else if (_eventTypes.hasOwnProperty(result.type)) {
+        onEvent(_eventTypes[result.type], result.key, result.value);
+      }
+    };
+    return firebase.query(onQueryEvent, path, _queryOptions(range, /* singleEvent */ false)).then(function(result) {
+      return {
+        path: result.path,
+        listeners: result.listeners
+      };
+    });
+  };
+
+  this.unlisten = function(handle) {
+    firebase.removeEventListeners(handle.listeners, handle.path);
+  };
+
+  /*****************/
+  /*  CONSTRUCTOR  */
+  /*****************/
+  if (firebase === null || typeof firebase !== "object" || typeof firebase.query !== "function") {
+    throw new Error("firebase must be nativescript-plugin-firebase");
+  }
+
+  // The plugin's query result types and the adapter event types they correspond to
+  var _eventTypes = {
+    ChildAdded: "child_added",
+    ChildChanged: "child_changed",
+    ChildRemoved: "child_removed"
+  };
+};
+
+/**
+ * Creates a WebDatabaseAdapter instance, the adapter for a Firebase web SDK database reference. Paths are
+ * relative to the provided reference.
+ *
+ * @constructor
+ * @this {WebDatabaseAdapter}
+ * @param {firebase.database.Reference} ref The database reference GeoFire paths are relative to.
+ */
+var WebDatabaseAdapter = function(ref) {
+  /*********************/
+  /*  PRIVATE METHODS  */
+  /*********************/
+  /**
+   * Returns the reference to the provided path.
+   *
+   * @param {string} path The path, relative to the adapter's reference.
+   * @return {firebase.database.Reference} The reference to the path.
+   */
+  function _refAt(path) {
+    var childPath = path.replace(/^\/+|\/+$/g, "");
+    return (childPath.length === 0) ? ref : ref.child(childPath);
+  }
+
+  /**
+   * Returns the query selecting the children of the provided path within a range.
+   *
+   * @param {string} path The path, relative to the adapter's reference.
+   * @param {?Object} range The range of children to select, or null to select the whole value.
+   * @return {firebase.database.Query} The query.
+   */
+  function _queryAt(path, range) {
+    var query = _refAt(path);
+    if (range !== null) {
+      query = query.orderByChild(range.child);
+      if (typeof range.start !== "undefined") {
+        query = query.startAt(range.start);
+      }
+      if (typeof range.end !== "undefined") {
+        query = query.endAt(range.end);
+      }
+    }
+    return query;
+  }
+
+  /********************/
+  /*  PUBLIC METHODS  */
+  /********************/
+  this.update = function(path, data) {
+    return _refAt(path).update(data);
+  };
+
+  this.once = function(path, range) {
+    return _queryAt(path, range || null).once("value").then(function(dataSnapshot) {
+      return dataSnapshot.val();
+    });
+  };
+
+  this.listen = function(path, range, onEvent, onError) {
+    var query = _queryAt(path, range);
+    var callbacks = {};
+    var failed = false;
+    ["child_added", "child_changed", "child_removed"].forEach(function(eventType) {
+      callbacks[eventType] = query.on(eventType, function(dataSnapshot) {
+        onEvent(eventType, dataSnapshot.key, dataSnapshot.val());
+      }, function(error) {
+        // The three callbacks are cancelled together, report the error once
+        if (!failed && typeof onError === "function") {
+          failed = true;
+          onError(error);
+        }
+      });
+    });
+    return Promise.resolve({
+      query: query,
+      callbacks: callbacks
+    });
+  };
+
+  this.unlisten = function(handle) {
+    Object.keys(handle.callbacks).forEach(function(eventType) {
+      handle.query.off(eventType, handle.callbacks[eventType]);
+    });
+  };
+
+  /*****************/
+  /*  CONSTRUCTOR  */
+  /*****************/
+  if (ref === null || typeof ref !== "object" || typeof ref.child !== "function" || typeof ref.orderByChild !== "function") {
+    throw new Error("ref must be a Firebase database reference");
+  }
+};
+
+/**
+ * Creates an AdminDatabaseAdapter instance, the adapter for a Firebase Admin SDK database reference. Paths are
+ * relative to the provided reference.
+ *
+ * The Admin SDK exposes the same reference API as the web SDK, so this adapter shares its implementation.
+ *
+ * @constructor
+ * @this {AdminDatabaseAdapter}
+ * @param {admin.database.Reference} ref The database reference GeoFire paths are relative to.
+ */
+var AdminDatabaseAdapter = function(ref) {
+  WebDatabaseAdapter.call(this, ref);
+};
+
+/**
+ * Creates a FirestoreAdapter instance, the adapter for Cloud Firestore.
+ *
+ * GeoFire paths are collection paths and keys are document ids. Locations are stored on the documents as
+ * geohash, lat and lng fields, the layout used by geofire-common, and range queries on the "g" child run as
+ * range queries on the geohash field. A payload is stored in the d field and the time of the write in the t field, as
+ * a server timestamp when the firebase namespace provides FieldValue and from the clock of the client otherwise.
+ * Like Realtime Database nodes, writing a location replaces its document and removing a key deletes it.
+ *
+ * Only the default "g" and "l" fields of the storage options are stored in this layout, other geohash and location
+ * fields are stored as they are, so the adapter must be given the storage options of the GeoFire it serves.
+ *
+ * The first snapshot of a listener holds every document in its range, so it is passed as the initial value of the
+ * listener instead of as child events, and the range does not need to be read again.
+ *
+ * @constructor
+ * @this {FirestoreAdapter}
+ * @param {firebase.firestore.Firestore} firestore The Firestore instance, or a MemoryFirestore.
+ * @param {Object=} options The storage options of the GeoFire, as passed to its constructor.
+ */
+var FirestoreAdapter = function(firestore, options) {
+  /*********************/
+  /*  PRIVATE METHODS  */
+  /*********************/
+  /**
+   * Splits a path into its non-empty segments.
+   *
+   * @param {string} path The path to split.
+   * @return {Array.<string>} The segments of the path.
+   */
+  function _pathSegments(path) {
+    return path.split("/").filter(function(segment) {
+      return segment.length !== 0;
+    });
+  }
+
+  /**
+   * Returns the document field which stores the provided GeoFire child.
+   *
+   * @param {string} child The GeoFire child.
+   * @return {string} The document field.
+   */
+  function _fieldForChild(child) {
+    return (child === "g" && _storage.geohashField === "g") ? "geohash" : child;
+  }
+
+  /**
+   * Returns the Firestore server timestamp placeholder, if the SDK loaded in the firebase namespace provides it.
+   *
+   * @return {?firebase.firestore.FieldValue} The placeholder, or null if the SDK is not available.
+   */
+  function _serverTimestamp() {
+    var namespace = (typeof firebase !== "undefined") ? firebase : null;
+    var fieldValue = (namespace && namespace.firestore) ? namespace.firestore.FieldValue : null;
+    return (fieldValue && typeof fieldValue.serverTimestamp === "function") ? fieldValue.serverTimestamp() : null;
+  }
+
+  /**
+   * Converts a GeoFire object to the fields of a document.
+   *
+   * @param {Object} geoFireObj The GeoFire object.
+   * @return {Object} The fields of the document.
+   */
+  function _toDocument(geoFireObj) {
+    var fields = {};
+    Object.keys(geoFireObj).forEach(function(child) {
+      if (child === "l" && _storage.locationField === "l") {
+        fields.lat = geoFireObj.l[0];
+        fields.lng = geoFireObj.l[1];
+      } else if (isServerTimestamp(geoFireObj[child])) {
+        // The placeholder is specific to the Realtime Database, write the Firestore one or the time of the client
+        var serverTimestamp = _serverTimestamp();
+        fields[_fieldForChild(child)] = (serverTimestamp !== null) ? serverTimestamp : Date.now();
+      } else if (child !== ".priority") {
+        fields[_fieldForChild(child)] = geoFireObj[child];
+      }
+    });
+    return fields;
+  }
+
+  /**
+   * Converts the fields of a document to a GeoFire object.
+   *
+   * @param {Object} fields The fields of the document.
+   * @return {Object} The GeoFire object.
+   */
+  function _fromDocument(fields) {
+    var geoFireObj = {};
+    var defaultGeohash = (_storage.geohashField === "g");
+    var defaultLocation = (_storage.locationField === "l");
+    Object.keys(fields).forEach(function(field) {
+      if (field === "geohash" && defaultGeohash) {
+        geoFireObj.g = fields.geohash;
+      } else if ((field !== "lat" && field !== "lng") || !defaultLocation) {
+        geoFireObj[field] = fields[field];
+      }
+    });
+    if (defaultLocation && fields.hasOwnProperty("lat") && fields.hasOwnProperty("lng")) {
+      geoFireObj.l = [fields.lat, fields.lng];
+    }
+    return geoFireObj;
+  }
+
+  /**
+   * Returns the query selecting the documents of a collection within a range.
+   *
+   * @param {string} path The path of the collection.
+   * @param {?Object} range The range of documents to select, or null to select all of them.
+   * @return {firebase.firestore.Query} The query.
+   */
+  function _queryAt(path, range) {
+    var query = firestore.collection(_pathSegments(path).join("/"));
+    if (range !== null) {
+      query = query.orderBy(_fieldForChild(range.child));
+      if (typeof range.start !== "undefined") {
+        query = query.startAt(range.start);
+      }
+      if (typeof range.end !== "undefined") {
+        query = query.endAt(range.end);
+      }
+    }
+    return query;
+  }
+
+  /**
+   * Returns the changes of a query snapshot, which older SDKs expose as a property instead of a method.
+   *
+   * @param {firebase.firestore.QuerySnapshot} querySnapshot The query snapshot.
+   * @return {Array.<firebase.firestore.DocumentChange>} The document changes.
+   */
+  function _docChanges(querySnapshot) {
+    return (typeof querySnapshot.docChanges === "function") ? querySnapshot.docChanges() : querySnapshot.docChanges;
+  }
+
+  /********************/
+  /*  PUBLIC METHODS  */
+  /********************/
+  this.update = function(path, data) {
+    var collection = firestore.collection(_pathSegments(path).join("/"));
+    var batch = firestore.batch();
+    Object.keys(data).forEach(function(key) {
+      var documentRef = collection.doc(key);
+      if (data[key] === null) {
+        batch.delete(documentRef);
+      } else {
+        batch.set(documentRef, _toDocument(data[key]));
+      }
+    });
+    return batch.commit();
+  };
+
+  this.once = function(path, range) {
+    var segments = _pathSegments(path);
+    if (segments.length % 2 === 0) {
+      // The path points to a document
+      return firestore.doc(segments.join("/")).get().then(function(documentSnapshot) {
+        return documentSnapshot.exists ? _fromDocument(documentSnapshot.data()) : null;
+      });
+    }
+
+    return _queryAt(path, range || null).get().then(function(querySnapshot) {
+      if (querySnapshot.empty) {
+        return null;
+      }
+      var value = {};
+      querySnapshot.forEach(function(documentSnapshot) {
+        value[documentSnapshot.id] = _fromDocument(documentSnapshot.data());
+      });
+      return value;
+    });
+  };
+
+  this.listen = function(path, range, onEvent, onError) {
+    var handle = {
+      unsubscribe: null,
+      initialValue: null
+    };
+    var attached = false;
+    return new Promise(function(resolve, reject) {
+      handle.unsubscribe = _queryAt(path, range).onSnapshot(function(querySnapshot) {
+        if (!attached) {
+          // The first snapshot holds every document in the range, it is the initial value of the listener
+          attached = true;
+          if (!querySnapshot.empty) {
+            handle.initialValue = {};
+            querySnapshot.forEach(function(documentSnapshot) {
+              handle.initialValue[documentSnapshot.id] = _fromDocument(documentSnapshot.data());
+            });
+          }
+          resolve(handle);
+          return;
+        }
+        _docChanges(querySnapshot).forEach(function(change) {
+          onEvent(_eventTypes[change.type], change.doc.id, _fromDocument(change.doc.data()));
+        });
+      }, function(error) {
+        if (!attached) {
+          attached = true;
+          reject(error);
+        } else if (typeof onError === "function") {
+          onError(error);
+        }
+      });
+    });
+  };
+
+  this.unlisten = function(handle) {
+    handle.unsubscribe();
+  };
+
+  /*****************/
+  /*  CONSTRUCTOR  */
+  /*****************/
+  if (firestore === null || typeof firestore !== "object" || typeof firestore.collection !== "function" || typeof firestore.batch !== "function") {
+    throw new Error("firestore must be a Firestore instance");
+  }
+
+  // The storage layout of the GeoFire served by this adapter
+  var _storage = geoFireStorageOptions(options);
+
+  // The document change types and the adapter event types they correspond to
+  var _eventTypes = {
+    added: "child_added",
+    modified: "child_changed",
+    removed: "child_removed"
+  };
+};
+
+/**
+ * Returns the adapter for the provided backend: an adapter is used as is, nativescript-plugin-firebase (or a
+ * MemoryFirebase), database references and Firestore (or a MemoryFirestore) are wrapped in the matching adapter.
+ *
+ * @param {Object} backend An adapter, nativescript-plugin-firebase, a Firebase database reference or Firestore.
+ * @param {Object=} options The storage options of the GeoFire, as passed to its constructor.
+ * @return {Object} The adapter for the backend.
+ */
+var toGeoFireAdapter = function(backend, options) {
+  if (backend === null || typeof backend !== "object") {
+    throw new Error("firebase must be nativescript-plugin-firebase, a Firebase database reference, Firestore or a GeoFire adapter");
+  }
+  else if (["update", "once", "listen", "unlisten"].every(function(method) { return typeof backend[method] === "function"; })) {
+    return backend;
+  }
+  else if (typeof backend.query === "function" && typeof backend.QueryOrderByType === "object") {
+    return new NativeScriptFirebaseAdapter(backend);
+  }
+  else if (typeof backend.child === "function" && typeof backend.orderByChild === "function") {
+    return new WebDatabaseAdapter(backend);
+  }
+  else if (typeof backend.collection === "function" && typeof backend.batch === "function") {
+    return new FirestoreAdapter(backend, options);
+  }
+  throw new Error("firebase must be nativescript-plugin-firebase, a Firebase database reference, Firestore or a GeoFire adapter");
+};
@@ -29,6 +29,20 @@ var g_E2 = 0.00669447819799;
 // Cutoff for rounding errors on double calculations
 var g_EPSILON = 1e-12;
 
+// Mean radius of the earth in meters, used by the spherical distance
+var g_EARTH_MEAN_RADIUS = 6371000;
+
+// Length of each distance unit in meters
+var g_DISTANCE_UNITS = {
+  m: 1,
+  km: 1000,
+  mi: 1609.344,
+  nmi: 1852
+};
+
+// Maximum number of keys removed by a single write when purging expired locations
+var g_PURGE_BATCH_SIZE = 500;
+
 Math.log2 = Math.log2 || function(x) {
   return Math.log(x)/Math.log(2);
 };
@@ -37,8 +51,10 @@ Math.log2 = Math.log2 || function(x) {
  * Validates the inputted key and throws an error if it is invalid.
  *
  * @param {string} key The key to be verified.
+ * @param {number=} precision The length of the geohashes stored with the key. If no precision is specified, the
+ * global default is used.
  */
-var validateKey = function(key) {
+var validateKey = function(key, precision) {
   var error;
 
   if (typeof key !== "string") {
@@ -47,7 +63,7 @@ var validateKey = function(key) {
   else if (key.length === 0) {
     error = "key cannot be the empty string";
   }
-  else if (1 + g_GEOHASH_PRECISION + key.length > 755) {
+  else if (1 + (precision || g_GEOHASH_PRECISION) + key.length > 755) {
     // Firebase can only stored child paths up to 768 characters
     // The child path for this key is at the least: "i/<geohash>key"
     error = "key is too long to be stored in Firebase";
@@ -126,20 +142,71 @@ var validateGeohash = function(geohash) {
   }
 };
 
+/**
+ * Validates the inputted bounds and throws an error if they are invalid.
+ *
+ * Bounds are a [[south, west], [north, east]] pair of corners. If west is greater than east, the bounds cross the
+ * antimeridian.
+ *
+ * @param {Array.<Array.<number>>} bounds The bounds to be verified.
+ */
+var validateBounds = function(bounds) {
+  if (!Array.isArray(bounds) || bounds.length !== 2) {
+    throw new Error("Invalid GeoFire bounds '" + bounds + "': bounds must be an array of two [latitude, longitude] pairs");
+  }
+  validateLocation(bounds[0]);
+  validateLocation(bounds[1]);
+  if (bounds[0][0] > bounds[1][0]) {
+    throw new Error("Invalid GeoFire bounds '" + bounds + "': the south latitude must not be greater than the north latitude");
+  }
+};
+
+/**
+ * Validates the inputted polygon and throws an error if it is invalid.
+ *
+ * A polygon is a list of at least three [latitude, longitude] vertices. Its edges join consecutive vertices, and the
+ * last vertex to the first one, along the shortest way, so a polygon may cross the antimeridian but not contain a pole.
+ *
+ * @param {Array.<Array.<number>>} polygon The polygon to be verified.
+ */
+var validatePolygon = function(polygon) {
+  if (!Array.isArray(polygon) || polygon.length < 3) {
+    throw new Error("Invalid GeoFire polygon '" + polygon + "': polygon must be an array of at least three [latitude, longitude] pairs");
+  }
+  polygon.forEach(validateLocation);
+  var unwrapped = unwrapPolygon(polygon);
+  var longitudes = unwrapped.map(function(vertex) {
+    return vertex[1];
+  });
+  var closingLongitude = unwrapped[unwrapped.length - 1][1] + wrapLongitude(polygon[0][1] - polygon[polygon.length - 1][1]);
+  if (Math.abs(closingLongitude - longitudes[0]) > g_EPSILON || Math.max.apply(null, longitudes) - Math.min.apply(null, longitudes) >= 360) {
+    throw new Error("Invalid GeoFire polygon '" + polygon + "': polygon cannot contain a pole");
+  }
+};
+
 /**
  * Validates the inputted query criteria and throws an error if it is invalid.
  *
- * @param {Object} newQueryCriteria The criteria which specifies the query's center and/or radius.
+ * @param {Object} newQueryCriteria The criteria which specifies the query's center and/or radius, its bounds or its
+ * polygon.
+ * @param {boolean=} requireCenterAndRadius Whether the criteria must describe a complete query.
  */
 var validateCriteria = function(newQueryCriteria, requireCenterAndRadius) {
-  if (typeof newQueryCriteria !== "object") {
+  if (typeof newQueryCriteria !== "object" || newQueryCriteria === null) {
     throw new Error("query criteria must be an object");
   }
-  else if (typeof newQueryCriteria.center === "undefined" && typeof newQueryCriteria.radius === "undefined") {
-    throw new Error("radius and/or center must be specified");
+
+  var hasCircle = (typeof newQueryCriteria.center !== "undefined" || typeof newQueryCriteria.radius !== "undefined");
+  var hasBounds = (typeof newQueryCriteria.bounds !== "undefined");
+  var hasPolygon = (typeof newQueryCriteria.polygon !== "undefined");
+  if (!hasCircle && !hasBounds && !hasPolygon && (requireCenterAndRadius || Object.keys(newQueryCriteria).length === 0)) {
+    throw new Error("radius and/or center, bounds or polygon must be specified");
+  }
+  else if ((hasCircle ? 1 : 0) + (hasBounds ? 1 : 0) + (hasPolygon ? 1 : 0) > 1) {
+    throw new Error("only one of radius and/or center, bounds or polygon can be specified");
   }
-  else if (requireCenterAndRadius && (typeof newQueryCriteria.center === "undefined" || typeof newQueryCriteria.radius === "undefined")) {
-    throw new Error("query criteria for a new query must contain both a center and a radius");
+  else if (requireCenterAndRadius && hasCircle && (typeof newQueryCriteria.center === "undefined" || typeof newQueryCriteria.radius === "undefined")) {
+    throw new Error("query criteria for a new query must contain both a center and a radius, bounds or a polygon");
   }
 
   // Throw an error if there are any extraneous attributes
@@ -147,7 +214,7 @@ var validateCriteria = function(newQueryCriteria, requireCenterAndRadius) {
   var numKeys = keys.length;
   for (var i = 0; i < numKeys; ++i) {
     var key = keys[i];
-    if (key !== "center" && key !== "radius") {
+    if (["center", "radius", "bounds", "polygon", "filter", "where", "units", "ellipsoidal"].indexOf(key) === -1) {
       throw new Error("Unexpected attribute '" + key + "'' found in query criteria");
     }
   }
@@ -166,6 +233,120 @@ var validateCriteria = function(newQueryCriteria, requireCenterAndRadius) {
       throw new Error("radius must be greater than or equal to 0");
     }
   }
+
+  // Validate the "bounds" attribute
+  if (hasBounds) {
+    validateBounds(newQueryCriteria.bounds);
+  }
+
+  // Validate the "polygon" attribute
+  if (hasPolygon) {
+    validatePolygon(newQueryCriteria.polygon);
+  }
+
+  // Validate the "filter" and "where" attributes, null removes them
+  validateAttributeFilter(newQueryCriteria);
+
+  // Validate the "units" and "ellipsoidal" attributes
+  validateDistanceOptions(newQueryCriteria);
+};
+
+/**
+ * Validates the "units" and "ellipsoidal" attributes of the inputted criteria or options and throws an error if they
+ * are invalid.
+ *
+ * @param {Object} options The criteria or options which can specify the distance units and whether distances are
+ * ellipsoidal.
+ */
+var validateDistanceOptions = function(options) {
+  if (typeof options.units !== "undefined" && !g_DISTANCE_UNITS.hasOwnProperty(options.units)) {
+    throw new Error("units must be \"m\", \"km\", \"mi\", or \"nmi\"");
+  }
+  if (typeof options.ellipsoidal !== "undefined" && typeof options.ellipsoidal !== "boolean") {
+    throw new Error("ellipsoidal must be a boolean");
+  }
+};
+
+/**
+ * Validates the inputted query options and throws an error if they are invalid.
+ *
+ * @param {Object} queryOptions The options of a query, as described for GeoFire.query() in the README.
+ */
+var validateQueryOptions = function(queryOptions) {
+  if (typeof queryOptions !== "object" || queryOptions === null) {
+    throw new Error("query options must be an object");
+  }
+
+  var keys = Object.keys(queryOptions);
+  for (var i = 0; i < keys.length; ++i) {
+    var key = keys[i];
+    if (["dwellTime", "exitBuffer", "exitDelay", "maxAge", "moveThreshold", "moveInterval", "changesWindow", "cluster", "density", "followThreshold", "followInterval"].indexOf(key) === -1) {
+      throw new Error("Unexpected attribute '" + key + "' found in query options");
+    }
+    else if (key === "cluster" || key === "density") {
+      validatePrecision(queryOptions[key]);
+    }
+    else if (typeof queryOptions[key] !== "number" || isNaN(queryOptions[key]) || queryOptions[key] < 0) {
+      throw new Error(key + " must be a number greater than or equal to 0");
+    }
+  }
+};
+
+/**
+ * Validates the inputted GeoQuery event type and throws an error if it is invalid.
+ *
+ * @param {string} eventType The event type to be verified.
+ * @param {Object} queryOptions The options of the query the event type is used with.
+ */
+var validateQueryEventType = function(eventType, queryOptions) {
+  if (["ready", "key_entered", "key_exited", "key_moved", "key_changed", "key_dwelled", "changes", "clusters_changed", "density_changed", "error"].indexOf(eventType) === -1) {
+    throw new Error("event type must be \"ready\", \"key_entered\", \"key_exited\", \"key_moved\", \"key_changed\", \"key_dwelled\", \"changes\", \"clusters_changed\", \"density_changed\", or \"error\"");
+  }
+  if (eventType === "key_dwelled" && typeof queryOptions.dwellTime === "undefined") {
+    throw new Error("key_dwelled callbacks require the dwellTime query option");
+  }
+  if (eventType === "clusters_changed" && typeof queryOptions.cluster === "undefined") {
+    throw new Error("clusters_changed callbacks require the cluster query option");
+  }
+  if (eventType === "density_changed" && typeof queryOptions.density === "undefined") {
+    throw new Error("density_changed callbacks require the density query option");
+  }
+};
+
+/**
+ * Validates the "filter" and "where" attributes of the inputted criteria or options and throws an error if they are
+ * invalid.
+ *
+ * @param {Object} criteria The criteria or options which can specify a filter function and a where object.
+ */
+var validateAttributeFilter = function(criteria) {
+  if (typeof criteria.filter !== "undefined" && criteria.filter !== null && typeof criteria.filter !== "function") {
+    throw new Error("filter must be a function");
+  }
+  if (typeof criteria.where !== "undefined" && criteria.where !== null &&
+      (typeof criteria.where !== "object" || Array.isArray(criteria.where))) {
+    throw new Error("where must be an object");
+  }
+};
+
+/**
+ * Validates the inputted geohash precision and throws an error if it is invalid.
+ *
+ * @param {number} precision The length of a geohash to be verified.
+ */
+var validatePrecision = function(precision) {
+  if (typeof precision !== "number" || isNaN(precision)) {
+    throw new Error("precision must be a number");
+  }
+  else if (precision <= 0) {
+    throw new Error("precision must be greater than 0");
+  }
+  else if (precision > 22) {
+    throw new Error("precision cannot be greater than 22");
+  }
+  else if (Math.round(precision) !== precision) {
+    throw new Error("precision must be an integer");
+  }
 };
 
 /**
@@ -194,18 +375,7 @@ var degreesToRadians = function(degrees) {
 var encodeGeohash = function(location, precision) {
   validateLocation(location);
   if (typeof precision !== "undefined") {
-    if (typeof precision !== "number" || isNaN(precision)) {
-      throw new Error("precision must be a number");
-    }
-    else if (precision <= 0) {
-      throw new Error("precision must be greater than 0");
-    }
-    else if (precision > 22) {
-      throw new Error("precision cannot be greater than 22");
-    }
-    else if (Math.round(precision) !== precision) {
-      throw new Error("precision must be an integer");
-    }
+    validatePrecision(precision);
   }
 
   // Use the global precision default if no precision is specified
@@ -254,6 +424,67 @@ var encodeGeohash = function(location, precision) {
   return hash;
 };
 
+/**
+ * Calculates the bounds of the cell of a geohash.
+ *
+ * @param {string} geohash The geohash of the cell.
+ * @return {Array.<Array.<number>>} The bounds of the cell as [[south, west], [north, east]].
+ */
+var geohashBounds = function(geohash) {
+  validateGeohash(geohash);
+
+  var latitudeRange = {
+    min: -90,
+    max: 90
+  };
+  var longitudeRange = {
+    min: -180,
+    max: 180
+  };
+  var even = true;
+  for (var i = 0; i < geohash.length; ++i) {
+    var hashVal = g_BASE32.indexOf(geohash.charAt(i));
+    for (var bit = g_BITS_PER_CHAR - 1; bit >= 0; --bit) {
+      var range = even ? longitudeRange : latitudeRange;
+      var mid = (range.min + range.max) / 2;
+      /* jshint -W016 */
+      if ((hashVal >> bit) & 1) {
+        range.min = mid;
+      }
+      else {
+        range.max = mid;
+      }
+      /* jshint +W016 */
+      even = !even;
+    }
+  }
+  return [[latitudeRange.min, longitudeRange.min], [latitudeRange.max, longitudeRange.max]];
+};
+
+/**
+ * Counts locations per geohash cell.
+ *
+ * @param {Array.<Array.<number>>} locations The locations as [latitude, longitude] pairs.
+ * @param {number} precision The length of the geohashes of the cells.
+ * @return {Array.<Object>} The cells holding at least one location as { geohash, count, bounds } objects, sorted by
+ * geohash, where bounds are the bounds of the cell as [[south, west], [north, east]].
+ */
+var geohashCellCounts = function(locations, precision) {
+  validatePrecision(precision);
+  var counts = {};
+  locations.forEach(function(location) {
+    var geohash = encodeGeohash(location, precision);
+    counts[geohash] = (counts[geohash] || 0) + 1;
+  });
+  return Object.keys(counts).sort().map(function(geohash) {
+    return {
+      geohash: geohash,
+      count: counts[geohash],
+      bounds: geohashBounds(geohash)
+    };
+  });
+};
+
 /**
  * Calculates the number of degrees a given distance is at a given latitude.
  *
@@ -399,13 +630,31 @@ var geohashQuery = function(geohash, bits) {
  *
  * @param {Array.<number>} center The center given as [latitude, longitude] pair.
  * @param {number} radius The radius of the circle.
+ * @param {number=} precision The length of the stored geohashes. If no precision is specified, the global default
+ * is used.
  * @return {Array.<Array.<string>>} An array of geohashes containing a [start, end] pair.
  */
-var geohashQueries = function(center, radius) {
+var geohashQueries = function(center, radius, precision) {
   validateLocation(center);
   var queryBits = Math.max(1, boundingBoxBits(center, radius));
-  var geohashPrecision = Math.ceil(queryBits/g_BITS_PER_CHAR);
   var coordinates = boundingBoxCoordinates(center, radius);
+  return coordinatesGeohashQueries(coordinates, queryBits, precision);
+};
+
+/**
+ * Calculates the set of queries for the geohashes with x bits precision of the given coordinates.
+ *
+ * The queries are never more precise than the stored geohashes, which would otherwise sort before them.
+ *
+ * @param {Array.<Array.<number>>} coordinates The coordinates as [latitude, longitude] pairs.
+ * @param {number} queryBits The number of bits of precision.
+ * @param {number=} precision The length of the stored geohashes. If no precision is specified, the global default
+ * is used.
+ * @return {Array.<Array.<string>>} An array of geohashes containing a [start, end] pair, without duplicates.
+ */
+var coordinatesGeohashQueries = function(coordinates, queryBits, precision) {
+  queryBits = Math.min(queryBits, (precision || g_GEOHASH_PRECISION)*g_BITS_PER_CHAR);
+  var geohashPrecision = Math.ceil(queryBits/g_BITS_PER_CHAR);
   var queries = coordinates.map(function(coordinate) {
     return geohashQuery(encodeGeohash(coordinate, geohashPrecision), queryBits);
   });
@@ -418,51 +667,538 @@ var geohashQueries = function(center, radius) {
 };
 
 /**
- * Encodes a location and geohash as a GeoFire object.
+ * Returns the width of bounds in degrees longitude, taking bounds crossing the antimeridian into account.
+ *
+ * @param {Array.<Array.<number>>} bounds The bounds as [[south, west], [north, east]].
+ * @return {number} The width of the bounds in degrees longitude.
+ */
+var boundsLongitudeSpan = function(bounds) {
+  var span = bounds[1][1] - bounds[0][1];
+  return (span < 0) ? span + 360 : span;
+};
+
+/**
+ * Returns the center of bounds.
+ *
+ * @param {Array.<Array.<number>>} bounds The bounds as [[south, west], [north, east]].
+ * @return {Array.<number>} The center of the bounds as [latitude, longitude] pair.
+ */
+var boundsCenter = function(bounds) {
+  return [
+    (bounds[0][0] + bounds[1][0]) / 2,
+    wrapLongitude(bounds[0][1] + boundsLongitudeSpan(bounds) / 2)
+  ];
+};
+
+/**
+ * Checks if a location is within bounds.
+ *
+ * @param {Array.<number>} location The location as [latitude, longitude] pair.
+ * @param {Array.<Array.<number>>} bounds The bounds as [[south, west], [north, east]].
+ * @return {boolean} Returns true if the location is within the bounds.
+ */
+var locationInBounds = function(location, bounds) {
+  if (location[0] < bounds[0][0] || location[0] > bounds[1][0]) {
+    return false;
+  }
+  if (bounds[0][1] <= bounds[1][1]) {
+    return location[1] >= bounds[0][1] && location[1] <= bounds[1][1];
+  }
+  // The bounds cross the antimeridian
+  return location[1] >= bounds[0][1] || location[1] <= bounds[1][1];
+};
+
+/**
+ * Calculates a set of queries to fully contain given bounds. A query is a [start, end] pair where any geohash
+ * is guaranteed to be lexiographically larger then start and smaller than end.
+ *
+ * The geohash cells are chosen larger than half of the bounds in both directions, so the cells of the corners,
+ * the middles of the edges and the center of the bounds cover all of them.
+ *
+ * @param {Array.<Array.<number>>} bounds The bounds as [[south, west], [north, east]].
+ * @param {number=} precision The length of the stored geohashes. If no precision is specified, the global default
+ * is used.
+ * @return {Array.<Array.<string>>} An array of geohashes containing a [start, end] pair.
+ */
+var boundsGeohashQueries = function(bounds, precision) {
+  validateBounds(bounds);
+  var latitudeSpan = bounds[1][0] - bounds[0][0];
+  var longitudeSpan = boundsLongitudeSpan(bounds);
+
+  // A geohash of n bits has cells of 360/2^ceil(n/2) degrees longitude and 180/2^floor(n/2) degrees latitude.
+  // The cells must be strictly larger than the distance between two of the coordinates used below.
+  var longitudeBits = (longitudeSpan > 0) ? Math.ceil(Math.log2(720/longitudeSpan)) - 1 : g_MAXIMUM_BITS_PRECISION;
+  var latitudeBits = (latitudeSpan > 0) ? Math.ceil(Math.log2(360/latitudeSpan)) - 1 : g_MAXIMUM_BITS_PRECISION;
+  var queryBits = Math.max(1, Math.min(2*longitudeBits, 2*latitudeBits + 1, g_MAXIMUM_BITS_PRECISION));
+
+  var latitudes = [bounds[0][0], (bounds[0][0] + bounds[1][0]) / 2, bounds[1][0]];
+  var longitudes = [bounds[0][1], bounds[0][1] + longitudeSpan / 2, bounds[0][1] + longitudeSpan].map(wrapLongitude);
+  var coordinates = [];
+  latitudes.forEach(function(latitude) {
+    longitudes.forEach(function(longitude) {
+      coordinates.push([latitude, longitude]);
+    });
+  });
+  return coordinatesGeohashQueries(coordinates, queryBits, precision);
+};
+
+/**
+ * Shifts the longitudes of a polygon's vertices by multiples of 360 degrees so that each edge is at most 180
+ * degrees wide, which makes polygons crossing the antimeridian continuous.
+ *
+ * @param {Array.<Array.<number>>} polygon The vertices of the polygon as [latitude, longitude] pairs.
+ * @return {Array.<Array.<number>>} The vertices with unwrapped longitudes.
+ */
+var unwrapPolygon = function(polygon) {
+  var unwrapped = [polygon[0]];
+  for (var i = 1; i < polygon.length; ++i) {
+    var previousLongitude = unwrapped[i - 1][1];
+    unwrapped.push([polygon[i][0], previousLongitude + wrapLongitude(polygon[i][1] - polygon[i - 1][1])]);
+  }
+  return unwrapped;
+};
+
+/**
+ * Returns the bounds of a polygon.
+ *
+ * @param {Array.<Array.<number>>} polygon The vertices of the polygon as [latitude, longitude] pairs.
+ * @return {Array.<Array.<number>>} The bounds of the polygon as [[south, west], [north, east]].
+ */
+var polygonBounds = function(polygon) {
+  var unwrapped = unwrapPolygon(polygon);
+  var latitudes = unwrapped.map(function(vertex) {
+    return vertex[0];
+  });
+  var longitudes = unwrapped.map(function(vertex) {
+    return vertex[1];
+  });
+  return [
+    [Math.min.apply(null, latitudes), wrapLongitude(Math.min.apply(null, longitudes))],
+    [Math.max.apply(null, latitudes), wrapLongitude(Math.max.apply(null, longitudes))]
+  ];
+};
+
+/**
+ * Checks if a location is within a polygon, using the even-odd rule on the polygon's latitudes and longitudes.
+ *
+ * @param {Array.<number>} location The location as [latitude, longitude] pair.
+ * @param {Array.<Array.<number>>} polygon The vertices of the polygon as [latitude, longitude] pairs.
+ * @return {boolean} Returns true if the location is within the polygon.
+ */
+var locationInPolygon = function(location, polygon) {
+  var unwrapped = unwrapPolygon(polygon);
+  var longitudes = unwrapped.map(function(vertex) {
+    return vertex[1];
+  });
+  var minLongitude = Math.min.apply(null, longitudes);
+
+  // Express the longitude of the location in the same range as the unwrapped vertices
+  var longitude = location[1];
+  while (longitude < minLongitude) {
+    longitude += 360;
+  }
+  while (longitude - 360 >= minLongitude) {
+    longitude -= 360;
+  }
+
+  var isInside = false;
+  for (var i = 0, j = unwrapped.length - 1; i < unwrapped.length; j = i++) {
+    var vertex1 = unwrapped[i];
+    var vertex2 = unwrapped[j];
+    if ((vertex1[0] > location[0]) !== (vertex2[0] > location[0])) {
+      var crossingLongitude = vertex1[1] + (location[0] - vertex1[0]) * (vertex2[1] - vertex1[1]) / (vertex2[0] - vertex1[0]);
+      if (longitude < crossingLongitude) {
+        isInside = !isInside;
+      }
+    }
+  }
+  return isInside;
+};
+
+/**
+ * Returns the center of the region described by validated query criteria: the center of a circle, of bounds or of
+ * the bounds of a polygon.
+ *
+ * @param {Object} queryCriteria The criteria which specifies a center and radius, bounds or a polygon.
+ * @return {Array.<number>} The center as [latitude, longitude] pair.
+ */
+var queryCriteriaCenter = function(queryCriteria) {
+  if (queryCriteria.bounds) {
+    return boundsCenter(queryCriteria.bounds);
+  } else if (queryCriteria.polygon) {
+    return boundsCenter(polygonBounds(queryCriteria.polygon));
+  }
+  return queryCriteria.center;
+};
+
+/**
+ * Calculates a set of queries to fully contain the region described by validated query criteria.
+ *
+ * @param {Object} queryCriteria The criteria which specifies a center and radius, bounds or a polygon.
+ * @param {number=} precision The length of the stored geohashes. If no precision is specified, the global default
+ * is used.
+ * @param {number=} buffer The width of a buffer around the region to contain as well, in the units of the criteria.
+ * @return {Array.<Array.<string>>} An array of geohashes containing a [start, end] pair.
+ */
+var queryCriteriaGeohashQueries = function(queryCriteria, precision, buffer) {
+  var unitMeters = g_DISTANCE_UNITS[queryCriteria.units || "km"];
+  var bufferMeters = (buffer || 0) * unitMeters;
+  if (queryCriteria.bounds) {
+    return boundsGeohashQueries(growBounds(queryCriteria.bounds, bufferMeters), precision);
+  } else if (queryCriteria.polygon) {
+    return boundsGeohashQueries(growBounds(polygonBounds(queryCriteria.polygon), bufferMeters), precision);
+  }
+  return geohashQueries(queryCriteria.center, queryCriteria.radius*unitMeters + bufferMeters, precision);
+};
+
+/**
+ * Checks if a location is within the region described by validated query criteria.
+ *
+ * @param {Array.<number>} location The location as [latitude, longitude] pair.
+ * @param {number} distanceFromCenter The distance, in the units of the criteria, from the location to the center of
+ * the region.
+ * @param {Object} queryCriteria The criteria which specifies a center and radius, bounds or a polygon.
+ * @return {boolean} Returns true if the location is within the region.
+ */
+var locationInQueryCriteria = function(location, distanceFromCenter, queryCriteria) {
+  if (queryCriteria.bounds) {
+    return locationInBounds(location, queryCriteria.bounds);
+  } else if (queryCriteria.polygon) {
+    return locationInPolygon(location, queryCriteria.polygon);
+  }
+  return distanceFromCenter <= queryCriteria.radius;
+};
+
+/**
+ * Calculates the approximate distance, in meters, from a location to the nearest edge of a polygon. The edges are
+ * projected on a plane tangent to the earth at the location, which is accurate for nearby edges only.
+ *
+ * @param {Array.<number>} location The location as [latitude, longitude] pair.
+ * @param {Array.<Array.<number>>} vertices The vertices of the polygon as [latitude, longitude] pairs, with unwrapped
+ * longitudes.
+ * @return {number} The distance, in meters, from the location to the nearest edge of the polygon.
+ */
+var distanceToPolygonEdges = function(location, vertices) {
+  var metersPerDegreeLongitude = 1 / metersToLongitudeDegrees(1, location[0]);
+  var points = vertices.map(function(vertex) {
+    return [
+      wrapLongitude(vertex[1] - location[1]) * metersPerDegreeLongitude,
+      (vertex[0] - location[0]) * g_METERS_PER_DEGREE_LATITUDE
+    ];
+  });
+
+  var minDistance = Infinity;
+  for (var i = 0, j = points.length - 1; i < points.length; j = i++) {
+    var edgeX = points[i][0] - points[j][0];
+    var edgeY = points[i][1] - points[j][1];
+    var lengthSquared = edgeX * edgeX + edgeY * edgeY;
+    // The position of the point of the edge closest to the location, between 0 and 1
+    var t = (lengthSquared === 0) ? 0 : Math.max(0, Math.min(1, -(points[j][0] * edgeX + points[j][1] * edgeY) / lengthSquared));
+    var x = points[j][0] + t * edgeX;
+    var y = points[j][1] + t * edgeY;
+    minDistance = Math.min(minDistance, Math.sqrt(x * x + y * y));
+  }
+  return minDistance;
+};
+
+/**
+ * Checks if a location is within the region described by validated query criteria, or within a buffer around it.
+ *
+ * @param {Array.<number>} location The location as [latitude, longitude] pair.
+ * @param {number} distanceFromCenter The distance, in the units of the criteria, from the location to the center of
+ * the region.
+ * @param {Object} queryCriteria The criteria which specifies a center and radius, bounds or a polygon.
+ * @param {number} buffer The width of the buffer around the region, in the units of the criteria.
+ * @return {boolean} Returns true if the location is within the region or its buffer.
+ */
+var locationNearQueryCriteria = function(location, distanceFromCenter, queryCriteria, buffer) {
+  if (locationInQueryCriteria(location, distanceFromCenter, queryCriteria)) {
+    return true;
+  } else if (!queryCriteria.bounds && !queryCriteria.polygon) {
+    return distanceFromCenter <= queryCriteria.radius + buffer;
+  }
+
+  var vertices;
+  if (queryCriteria.bounds) {
+    var south = queryCriteria.bounds[0][0], west = queryCriteria.bounds[0][1];
+    var north = queryCriteria.bounds[1][0], east = west + boundsLongitudeSpan(queryCriteria.bounds);
+    vertices = [[south, west], [south, east], [north, east], [north, west]];
+  } else {
+    vertices = unwrapPolygon(queryCriteria.polygon);
+  }
+  return distanceToPolygonEdges(location, vertices) <= buffer * g_DISTANCE_UNITS[queryCriteria.units || "km"];
+};
+
+/**
+ * Grows bounds by a distance in every direction.
+ *
+ * @param {Array.<Array.<number>>} bounds The bounds as [[south, west], [north, east]].
+ * @param {number} distance The distance, in meters, to grow the bounds by.
+ * @return {Array.<Array.<number>>} The grown bounds as [[south, west], [north, east]].
+ */
+var growBounds = function(bounds, distance) {
+  var latitudeDelta = distance / g_METERS_PER_DEGREE_LATITUDE;
+  var south = Math.max(-90, bounds[0][0] - latitudeDelta);
+  var north = Math.min(90, bounds[1][0] + latitudeDelta);
+  var longitudeDelta = metersToLongitudeDegrees(distance, Math.max(Math.abs(south), Math.abs(north)));
+  if (boundsLongitudeSpan(bounds) + 2 * longitudeDelta >= 360) {
+    return [[south, -180], [north, 180]];
+  }
+  return [[south, wrapLongitude(bounds[0][1] - longitudeDelta)], [north, wrapLongitude(bounds[1][1] + longitudeDelta)]];
+};
+
+/**
+ * Checks if a key passes the attribute filters of validated query criteria: each field of the "where" object must
+ * equal the field of the same name in the key's payload, and the "filter" function must return a truthy value.
+ *
+ * @param {string} key The key of the location.
+ * @param {Array.<number>} location The location as [latitude, longitude] pair.
+ * @param {?Object} data The payload stored with the location or null.
+ * @param {Object} queryCriteria The criteria which can specify a filter function and a where object.
+ * @return {boolean} Returns true if the key passes the attribute filters.
+ */
+var keyMatchesAttributeFilter = function(key, location, data, queryCriteria) {
+  if (queryCriteria.where) {
+    var fields = Object.keys(queryCriteria.where);
+    for (var i = 0; i < fields.length; ++i) {
+      if (data === null || !data.hasOwnProperty(fields[i]) || data[fields[i]] !== queryCriteria.where[fields[i]]) {
+        return false;
+      }
+    }
+  }
+  if (queryCriteria.filter) {
+    return !!queryCriteria.filter(key, location, data);
+  }
+  return true;
+};
+
+/**
+ * Validates the inputted payload and throws an error if it is invalid.
+ *
+ * @param {?Object} data The payload to be verified, null or undefined for no payload.
+ */
+var validateData = function(data) {
+  if (typeof data !== "undefined" && data !== null && (typeof data !== "object" || Array.isArray(data))) {
+    throw new Error("Invalid GeoFire data '" + data + "': data must be an object");
+  }
+};
+
+/**
+ * Validates a field name of the storage layout and throws an error if it is invalid.
+ *
+ * @param {string} optionName The name of the option specifying the field.
+ * @param {string} field The field name to be verified.
+ */
+var validateStorageField = function(optionName, field) {
+  if (typeof field !== "string" || field.length === 0 || /[\[\].#$\/\u0000-\u001F\u007F]/.test(field)) {
+    throw new Error(optionName + " must be a non-empty string without any of the following characters: . # $ ] [ /");
+  }
+};
+
+/**
+ * Validates the storage options of a GeoFire instance and returns them with their defaults filled in. The defaults
+ * describe the layout written by GeoFire for JavaScript, iOS and Android: a 10 character geohash in "g", the
+ * [latitude, longitude] pair in "l", the time of the write in "t" and the geohash as priority.
+ *
+ * @param {Object=} options The storage options, which can specify the geohash precision, the geohashField, the
+ * locationField as a field name or a [latitudeField, longitudeField] pair, the dataField, the timestampField and
+ * whether to write the geohash as priority.
+ * @return {Object} The storage options with their defaults filled in.
+ */
+var geoFireStorageOptions = function(options) {
+  options = (typeof options === "undefined") ? {} : options;
+  if (typeof options !== "object" || options === null) {
+    throw new Error("options must be an object");
+  }
+
+  var keys = Object.keys(options);
+  for (var i = 0; i < keys.length; ++i) {
+    if (["precision", "geohashField", "locationField", "dataField", "timestampField", "priority"].indexOf(keys[i]) === -1) {
+      throw new Error("Unexpected attribute '" + keys[i] + "' found in options");
+    }
+  }
+
+  var storage = {
+    precision: g_GEOHASH_PRECISION,
+    geohashField: "g",
+    locationField: "l",
+    dataField: "d",
+    timestampField: "t",
+    priority: true
+  };
+  if (typeof options.precision !== "undefined") {
+    validatePrecision(options.precision);
+    storage.precision = options.precision;
+  }
+  if (typeof options.geohashField !== "undefined") {
+    validateStorageField("geohashField", options.geohashField);
+    storage.geohashField = options.geohashField;
+  }
+  if (typeof options.locationField !== "undefined") {
+    if (Array.isArray(options.locationField)) {
+      if (options.locationField.length !== 2) {
+        throw new Error("locationField must be a field name or a [latitudeField, longitudeField] pair");
+      }
+      options.locationField.forEach(function(field) {
+        validateStorageField("locationField", field);
+      });
+    } else {
+      validateStorageField("locationField", options.locationField);
+    }
+    storage.locationField = options.locationField;
+  }
+  if (typeof options.dataField !== "undefined") {
+    validateStorageField("dataField", options.dataField);
+    storage.dataField = options.dataField;
+  }
+  if (typeof options.timestampField !== "undefined") {
+    validateStorageField("timestampField", options.timestampField);
+    storage.timestampField = options.timestampField;
+  }
+  if (typeof options.priority !== "undefined") {
+    if (typeof options.priority !== "boolean") {
+      throw new Error("priority must be a boolean");
+    }
+    storage.priority = options.priority;
+  }
+
+  var fields = [storage.geohashField, storage.dataField, storage.timestampField].concat(storage.locationField);
+  if (fields.some(function(field, index) { return fields.indexOf(field) !== index; })) {
+    throw new Error("geohashField, locationField, dataField and timestampField must all be different");
+  }
+  return storage;
+};
+
+// The storage layout used when no storage options are provided
+var g_DEFAULT_STORAGE = geoFireStorageOptions();
+
+/**
+ * Encodes a location, geohash and payload as a GeoFire object. The object also records the time of the write, as a
+ * server timestamp placeholder.
  *
  * @param {Array.<number>} location The location as [latitude, longitude] pair.
  * @param {string} geohash The geohash of the location.
+ * @param {?Object=} data The payload to store with the location.
+ * @param {Object=} storage The storage options describing the layout of the object. If no storage options are
+ * specified, the default layout is used.
  * @return {Object} The location encoded as GeoFire object.
  */
-function encodeGeoFireObject(location, geohash) {
+function encodeGeoFireObject(location, geohash, data, storage) {
   validateLocation(location);
   validateGeohash(geohash);
-  return {
-    ".priority": geohash,
-    "g": geohash,
-    "l": location
-  };
+  validateData(data);
+  storage = storage || g_DEFAULT_STORAGE;
+  var geoFireObj = {};
+  if (storage.priority) {
+    geoFireObj[".priority"] = geohash;
+  }
+  geoFireObj[storage.geohashField] = geohash;
+  if (Array.isArray(storage.locationField)) {
+    geoFireObj[storage.locationField[0]] = location[0];
+    geoFireObj[storage.locationField[1]] = location[1];
+  } else {
+    geoFireObj[storage.locationField] = location;
+  }
+  if (typeof data !== "undefined" && data !== null) {
+    geoFireObj[storage.dataField] = data;
+  }
+  // The Realtime Database replaces this placeholder with the time of the server when the write reaches it
+  geoFireObj[storage.timestampField] = { ".sv": "timestamp" };
+  return geoFireObj;
 }
 
 /**
  * Decodes the location given as GeoFire object. Returns null if decoding fails.
  *
  * @param {Object} geoFireObj The location encoded as GeoFire object.
+ * @param {Object=} storage The storage options describing the layout of the object. If no storage options are
+ * specified, the default layout is used.
  * @return {?Array.<number>} location The location as [latitude, longitude] pair or null if
  * decoding fails.
  */
-function decodeGeoFireObject(geoFireObj) {
-  if (geoFireObj !== null && geoFireObj.hasOwnProperty("l") && Array.isArray(geoFireObj.l) && geoFireObj.l.length === 2) {
-    return geoFireObj.l;
+function decodeGeoFireObject(geoFireObj, storage) {
+  storage = storage || g_DEFAULT_STORAGE;
+  var location;
+  if (geoFireObj !== null && Array.isArray(storage.locationField)) {
+    location = [geoFireObj[storage.locationField[0]], geoFireObj[storage.locationField[1]]];
+  } else if (geoFireObj !== null) {
+    location = geoFireObj[storage.locationField];
+  }
+  if (Array.isArray(location) && location.length === 2 && typeof location[0] === "number" && typeof location[1] === "number") {
+    return location;
   } else {
     throw new Error("Unexpected GeoFire location object encountered: " + JSON.stringify(geoFireObj));
   }
 }
 
 /**
- * Static method which calculates the distance, in kilometers, between two locations,
- * via the Haversine formula. Note that this is approximate due to the fact that the
- * Earth's radius varies between 6356.752 km and 6378.137 km.
+ * Decodes the payload stored in a GeoFire object. Locations written without GeoFire.set() may carry their attributes
+ * as fields next to the geohash and the location instead, these fields are then decoded as the payload.
+ *
+ * @param {Object} geoFireObj The location encoded as GeoFire object.
+ * @param {Object=} storage The storage options describing the layout of the object. If no storage options are
+ * specified, the default layout is used.
+ * @return {?Object} The payload stored with the location or null if it has none.
+ */
+function decodeGeoFireData(geoFireObj, storage) {
+  storage = storage || g_DEFAULT_STORAGE;
+  if (geoFireObj === null) {
+    return null;
+  } else if (geoFireObj.hasOwnProperty(storage.dataField) && typeof geoFireObj[storage.dataField] === "object") {
+    return geoFireObj[storage.dataField];
+  }
+
+  var layoutFields = [storage.geohashField, storage.timestampField, ".priority"].concat(storage.locationField);
+  var data = null;
+  Object.keys(geoFireObj).forEach(function(field) {
+    if (layoutFields.indexOf(field) === -1) {
+      data = data || {};
+      data[field] = geoFireObj[field];
+    }
+  });
+  return data;
+}
+
+/**
+ * Decodes the time at which a GeoFire object was written.
+ *
+ * @param {Object} geoFireObj The location encoded as GeoFire object.
+ * @param {Object=} storage The storage options describing the layout of the object. If no storage options are
+ * specified, the default layout is used.
+ * @return {?number} The time of the write in milliseconds since the epoch, or null if the object records none.
+ */
+function decodeGeoFireTimestamp(geoFireObj, storage) {
+  storage = storage || g_DEFAULT_STORAGE;
+  var timestamp = (geoFireObj === null) ? null : geoFireObj[storage.timestampField];
+  if (typeof timestamp === "number" && !isNaN(timestamp)) {
+    return timestamp;
+  } else if (timestamp !== null && typeof timestamp === "object" && typeof timestamp.toMillis === "function") {
+    // A Firestore timestamp
+    return timestamp.toMillis();
+  }
+  return null;
+}
+
+/**
+ * Checks if a value is the server timestamp placeholder.
+ *
+ * @param {*} value The value to check.
+ * @return {boolean} Returns true if the value is the server timestamp placeholder.
+ */
+var isServerTimestamp = function(value) {
+  return value !== null && typeof value === "object" && Object.keys(value).length === 1 &&
+         value[".sv"] === "timestamp";
+};
+
+/**
+ * Calculates the distance, in meters, between two locations on a sphere via the Haversine formula. Note that
+ * this is approximate due to the fact that the Earth's radius varies between 6356.752 km and 6378.137 km.
  *
  * @param {Array.<number>} location1 The [latitude, longitude] pair of the first location.
  * @param {Array.<number>} location2 The [latitude, longitude] pair of the second location.
- * @return {number} The distance, in kilometers, between the inputted locations.
+ * @return {number} The distance, in meters, between the inputted locations.
  */
-var calculateDistance = function (location1, location2) {
-  validateLocation(location1);
-  validateLocation(location2);
-
-  var radius = 6371; // Earth's radius in kilometers
+var haversineDistance = function(location1, location2) {
   var latDelta = degreesToRadians(location2[0] - location1[0]);
   var lonDelta = degreesToRadians(location2[1] - location1[1]);
 
@@ -472,5 +1208,76 @@ var calculateDistance = function (location1, location2) {
 
   var c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
 
-  return radius * c;
-};
\ No newline at end of file
+  return g_EARTH_MEAN_RADIUS * c;
+};
+
+/**
+ * Calculates the distance, in meters, between two locations on the WGS84 ellipsoid via Vincenty's inverse formula,
+ * which is accurate to within a millimeter. For nearly antipodal locations, for which the formula does not
+ * converge, the Haversine distance is returned instead.
+ *
+ * @param {Array.<number>} location1 The [latitude, longitude] pair of the first location.
+ * @param {Array.<number>} location2 The [latitude, longitude] pair of the second location.
+ * @return {number} The distance, in meters, between the inputted locations.
+ */
+var vincentyDistance = function(location1, location2) {
+  var a = g_EARTH_EQ_RADIUS;
+  var b = a * Math.sqrt(1 - g_E2);
+  var f = (a - b) / a;
+
+  var L = degreesToRadians(wrapLongitude(location2[1] - location1[1]));
+  var U1 = Math.atan((1 - f) * Math.tan(degreesToRadians(location1[0])));
+  var U2 = Math.atan((1 - f) * Math.tan(degreesToRadians(location2[0])));
+  var sinU1 = Math.sin(U1), cosU1 = Math.cos(U1);
+  var sinU2 = Math.sin(U2), cosU2 = Math.cos(U2);
+
+  var lambda = L;
+  var sinSigma, cosSigma, sigma, cosSqAlpha, cos2SigmaM;
+  for (var iterations = 0; iterations < 200; ++iterations) {
+    var sinLambda = Math.sin(lambda), cosLambda = Math.cos(lambda);
+    sinSigma = Math.sqrt((cosU2 * sinLambda) * (cosU2 * sinLambda) +
+                         (cosU1 * sinU2 - sinU1 * cosU2 * cosLambda) * (cosU1 * sinU2 - sinU1 * cosU2 * cosLambda));
+    if (sinSigma === 0) {
+      // The locations coincide
+      return 0;
+    }
+    cosSigma = sinU1 * sinU2 + cosU1 * cosU2 * cosLambda;
+    sigma = Math.atan2(sinSigma, cosSigma);
+    var sinAlpha = cosU1 * cosU2 * sinLambda / sinSigma;
+    cosSqAlpha = 1 - sinAlpha * sinAlpha;
+    // Both locations are on the equator if cosSqAlpha is 0
+    cos2SigmaM = (cosSqAlpha !== 0) ? cosSigma - 2 * sinU1 * sinU2 / cosSqAlpha : 0;
+    var C = f / 16 * cosSqAlpha * (4 + f * (4 - 3 * cosSqAlpha));
+    var previousLambda = lambda;
+    lambda = L + (1 - C) * f * sinAlpha *
+             (sigma + C * sinSigma * (cos2SigmaM + C * cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM)));
+    if (Math.abs(lambda - previousLambda) < g_EPSILON) {
+      var uSq = cosSqAlpha * (a * a - b * b) / (b * b);
+      var A = 1 + uSq / 16384 * (4096 + uSq * (-768 + uSq * (320 - 175 * uSq)));
+      var B = uSq / 1024 * (256 + uSq * (-128 + uSq * (74 - 47 * uSq)));
+      var deltaSigma = B * sinSigma * (cos2SigmaM + B / 4 * (cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM) -
+                       B / 6 * cos2SigmaM * (-3 + 4 * sinSigma * sinSigma) * (-3 + 4 * cos2SigmaM * cos2SigmaM)));
+      return b * A * (sigma - deltaSigma);
+    }
+  }
+  return haversineDistance(location1, location2);
+};
+
+/**
+ * Static method which calculates the distance between two locations, by default in kilometers via the Haversine
+ * formula.
+ *
+ * @param {Array.<number>} location1 The [latitude, longitude] pair of the first location.
+ * @param {Array.<number>} location2 The [latitude, longitude] pair of the second location.
+ * @param {string=} units The units of the distance: "m", "km", "mi" or "nmi". Defaults to "km".
+ * @param {boolean=} ellipsoidal Whether to calculate the distance on the WGS84 ellipsoid instead of a sphere.
+ * @return {number} The distance, in the inputted units, between the inputted locations.
+ */
+var calculateDistance = function (location1, location2, units, ellipsoidal) {
+  validateLocation(location1);
+  validateLocation(location2);
+  validateDistanceOptions({ units: units, ellipsoidal: ellipsoidal });
+
+  var meters = ellipsoidal ? vincentyDistance(location1, location2) : haversineDistance(location1, location2);
+  return meters / g_DISTANCE_UNITS[units || "km"];
+};
@@ -0,0 +1,190 @@
+/**
+ * Creates a GeoListenerPool instance.
+ *
+ * A listener pool wraps an adapter and implements the same interface. Listeners on the same path and range share a
+ * single listener of the wrapped adapter, which is only removed once every one of them has been stopped. The pool
+ * also runs the periodic clean up of the queries using it on a single timer.
+ *
+ * @constructor
+ * @this {GeoListenerPool}
+ * @param {Object} adapter The adapter to share the listeners of.
+ */
+var GeoListenerPool = function(adapter) {
+  /*********************/
+  /*  PRIVATE METHODS  */
+  /*********************/
+  /**
+   * Encodes a path and a range as a string for easier indexing and equality.
+   *
+   * @param {string} path The path of the listener.
+   * @param {Object} range The range of the listener.
+   * @return {string} The encoded path and range.
+   */
+  function _listenerId(path, range) {
+    return [path, range.child, range.start, range.end].join(":");
+  }
+
+  /**
+   * Runs every clean up callback.
+   */
+  function _runCleanupCallbacks() {
+    _cleanupCallbacks.slice().forEach(function(callback) {
+      callback();
+    });
+  }
+
+  /********************/
+  /*  PUBLIC METHODS  */
+  /********************/
+  /**
+   * Writes a mapping of child paths to values below path through the wrapped adapter.
+   *
+   * @param {string} path The path to write below.
+   * @param {Object} data The values to write, by child path. A null value removes the child.
+   * @return {Promise.<>} A promise that is fulfilled when the write is complete.
+   */
+  this.update = function(path, data) {
+    return adapter.update(path, data);
+  };
+
+  /**
+   * Reads the value at path once through the wrapped adapter. Reads are not shared.
+   *
+   * @param {string} path The path to read.
+   * @param {Object=} range The range of children to read, or the whole value if omitted.
+   * @return {Promise.<?Object>} A promise that is fulfilled with the value, or null if there is none.
+   */
+  this.once = function(path, range) {
+    return adapter.once(path, range);
+  };
+
+  /**
+   * Listens to the children of path within the range. The first listener on a path and range attaches a listener of
+   * the wrapped adapter, the following ones subscribe to it. Only the listeners subscribed before it attached are
+   * passed the initial value of the shared listener, if it has one.
+   *
+   * @param {string} path The path to listen to.
+   * @param {Object} range The range of children to listen to.
+   * @param {function(string, string, ?Object)} onEvent The callback called with the event type, the key and the value
+   * of every child event.
+   * @param {function(*)=} onError The callback called with the error if the shared listener fails once attached.
+   * @return {Promise.<Object>} A promise that is fulfilled with a handle to pass to unlisten() once the shared listener
+   * is attached, or rejected if it failed to attach.
+   */
+  this.listen = function(path, range, onEvent, onError) {
+    var listenerId = _listenerId(path, range);
+    var listener = _listeners[listenerId];
+    var subscriber = {
+      onEvent: onEvent,
+      onError: onError
+    };
+    var subscribedBeforeAttached = (typeof listener === "undefined") || !listener.attached;
+    if (typeof listener === "undefined") {
+      // Subscribe before attaching, adapters may fire the initial child events while the listener attaches
+      listener = {
+        subscribers: [subscriber],
+        attached: false
+      };
+      _listeners[listenerId] = listener;
+      listener.handle = adapter.listen(path, range, function(eventType, key, value) {
+        listener.subscribers.slice().forEach(function(subscriber) {
+          if (listener.subscribers.indexOf(subscriber) !== -1) {
+            subscriber.onEvent(eventType, key, value);
+          }
+        });
+      }, function(error) {
+        // The listener stopped, the next listen() on this range attaches a new one
+        if (_listeners[listenerId] === listener) {
+          delete _listeners[listenerId];
+        }
+        listener.subscribers.slice().forEach(function(subscriber) {
+          if (listener.subscribers.indexOf(subscriber) !== -1 && typeof subscriber.onError === "function") {
+            subscriber.onError(error);
+          }
+        });
+      });
+      listener.handle.then(function() {
+        listener.attached = true;
+      }, function() {
+        // The listener failed to attach, the next listen() on this range tries again
+        if (_listeners[listenerId] === listener) {
+          delete _listeners[listenerId];
+        }
+      });
+    }
+    else {
+      listener.subscribers.push(subscriber);
+    }
+
+    return listener.handle.then(function(adapterHandle) {
+      return {
+        listenerId: listenerId,
+        listener: listener,
+        subscriber: subscriber,
+        initialValue: subscribedBeforeAttached ? adapterHandle.initialValue : undefined
+      };
+    });
+  };
+
+  /**
+   * Stops a listener created by listen(). The listener of the wrapped adapter is only removed once every listener
+   * sharing it has been stopped. Stopping a listener twice does nothing.
+   *
+   * @param {Object} handle The handle the promise returned by listen() was fulfilled with.
+   */
+  this.unlisten = function(handle) {
+    var listener = handle.listener;
+    var index = listener.subscribers.indexOf(handle.subscriber);
+    if (index === -1) {
+      return;
+    }
+    listener.subscribers.splice(index, 1);
+
+    // Remove the shared listener once nobody listens to it anymore
+    if (listener.subscribers.length === 0) {
+      if (_listeners[handle.listenerId] === listener) {
+        delete _listeners[handle.listenerId];
+      }
+      listener.handle.then(function(adapterHandle) {
+        adapter.unlisten(adapterHandle);
+      }, function() {
+        // The listener never attached, there is nothing to remove
+      });
+    }
+  };
+
+  /**
+   * Adds a callback run every ten seconds until the returned function is called. The timer only runs while there
+   * are clean up callbacks.
+   *
+   * @param {function()} callback The clean up callback.
+   * @return {function()} A function which removes the clean up callback.
+   */
+  this.onCleanup = function(callback) {
+    _cleanupCallbacks.push(callback);
+    if (_cleanupInterval === null) {
+      _cleanupInterval = setInterval(_runCleanupCallbacks, 10000);
+    }
+
+    return function() {
+      var index = _cleanupCallbacks.indexOf(callback);
+      if (index !== -1) {
+        _cleanupCallbacks.splice(index, 1);
+      }
+      if (_cleanupCallbacks.length === 0 && _cleanupInterval !== null) {
+        clearInterval(_cleanupInterval);
+        _cleanupInterval = null;
+      }
+    };
+  };
+
+  /*****************/
+  /*  CONSTRUCTOR  */
+  /*****************/
+  // The shared listeners, by path and range
+  var _listeners = {};
+
+  // The clean up callbacks and the timer running them
+  var _cleanupCallbacks = [];
+  var _cleanupInterval = null;
+};
@@ -3,10 +3,17 @@
  *
  * @constructor
  * @this {GeoQuery}
- * @param {Firebase} firebaseRef A Firebase reference.
- * @param {Object} queryCriteria The criteria which specifies the query's center and radius.
+ * @param {Object} adapter The adapter used to read the GeoFire data, or a GeoListenerPool sharing its listeners with
+ * other queries.
+ * @param {string} firebaseDst The path where the GeoFire data is stored.
+ * @param {Object} queryCriteria The criteria which specifies the query's center and radius, its bounds or its polygon,
+ * and optionally its filter and where attributes, its distance units and whether its distances are ellipsoidal.
+ * @param {Object=} storage The storage options describing the layout of the locations. If no storage options are
+ * specified, the default layout is used.
+ * @param {Object=} queryOptions The options tuning how the events of the query fire, as described for
+ * GeoFire.query() in the README.
  */
-var GeoQuery = function (firebase, firebaseDst, queryCriteria) {
+var GeoQuery = function (adapter, firebaseDst, queryCriteria, storage, queryOptions) {
   /*********************/
   /*  PRIVATE METHODS  */
   /*********************/
@@ -14,18 +21,276 @@ var GeoQuery = function (firebase, firebaseDst, queryCriteria) {
    * OK
    * Fires each callback for the provided eventType, passing it provided key's data.
    *
-   * @param {string} eventType The event type whose callbacks to fire. One of "key_entered", "key_exited", or "key_moved".
+   * @param {string} eventType The event type whose callbacks to fire. One of "key_entered", "key_exited",
+   * "key_moved", "key_changed", or "key_dwelled".
    * @param {string} key The key of the location for which to fire the callbacks.
    * @param {?Array.<number>} location The location as [latitude, longitude] pair
    * @param {?double} distanceFromCenter The distance from the center or null.
+   * @param {?Object} data The payload stored with the location or null.
    */
-  function _fireCallbacksForKey(eventType, key, location, distanceFromCenter) {
-    _callbacks[eventType].forEach(function(callback) {
+  function _fireCallbacksForKey(eventType, key, location, distanceFromCenter, data) {
+    // Callbacks can cancel their own or other registrations while the callbacks are fired
+    _callbacks[eventType].slice().forEach(function(callback) {
+      if (_callbacks[eventType].indexOf(callback) === -1) {
+        return;
+      }
       if (typeof location === "undefined" || location === null) {
-        callback(key, null, null);
+        callback(key, null, null, null);
       }
       else {
-        callback(key, location, distanceFromCenter);
+        callback(key, location, distanceFromCenter, data);
+      }
+    });
+    _recordChange(eventType, key, location, distanceFromCenter, data);
+    _updateClusters(eventType, key, location);
+    _updateDensity(eventType, key, location);
+  }
+
+  /**
+   * Returns whether two locations are the same. An unknown location is never the same as another one.
+   *
+   * @param {?Array.<number>} location1 The first location as [latitude, longitude] pair or null.
+   * @param {?Array.<number>} location2 The second location as [latitude, longitude] pair or null.
+   * @return {boolean} Whether the locations are the same.
+   */
+  function _locationsEqual(location1, location2) {
+    return (location1 !== null && location2 !== null && location1[0] === location2[0] && location1[1] === location2[1]);
+  }
+
+  /**
+   * Records an event of a key for the next "changes" event, and schedules that event.
+   *
+   * @param {string} eventType The event type which fired for the key.
+   * @param {string} key The key of the location.
+   * @param {?Array.<number>} location The location as [latitude, longitude] pair or null.
+   * @param {?double} distanceFromCenter The distance from the center or null.
+   * @param {?Object} data The payload stored with the location or null.
+   */
+  function _recordChange(eventType, key, location, distanceFromCenter, data) {
+    if (["key_entered", "key_exited", "key_moved"].indexOf(eventType) === -1) {
+      return;
+    }
+
+    // Keep the location last reported for every key within this query, where the key starts from in the next window
+    var reportedLocation = _reportedLocations.hasOwnProperty(key) ? _reportedLocations[key] : null;
+    if (eventType === "key_exited") {
+      delete _reportedLocations[key];
+    } else {
+      _reportedLocations[key] = location;
+    }
+    if (_callbacks.changes.length === 0) {
+      return;
+    }
+
+    // Only the state of the key before its first event and after its last event of the window matter
+    if (!_pendingChanges.hasOwnProperty(key)) {
+      _pendingChanges[key] = {
+        wasInQuery: (eventType !== "key_entered"),
+        startLocation: reportedLocation
+      };
+    }
+    _pendingChanges[key].isInQuery = (eventType !== "key_exited");
+    _pendingChanges[key].change = {
+      key: key,
+      location: (typeof location === "undefined") ? null : location,
+      distance: (typeof location === "undefined" || location === null) ? null : distanceFromCenter,
+      data: (typeof location === "undefined" || location === null) ? null : data
+    };
+    _scheduleChanges();
+  }
+
+  /**
+   * Describes a cluster of keys.
+   *
+   * @param {string} geohash The geohash prefix shared by the locations of the keys.
+   * @param {Object} members A mapping of the keys of the cluster to their [latitude, longitude] pairs.
+   * @return {Object} The cluster as { geohash, count, centroid, bounds, keys }, where bounds are the bounds of the
+   * locations of the keys as [[south, west], [north, east]].
+   */
+  function _describeCluster(geohash, members) {
+    var keys = Object.keys(members);
+    var latitudeSum = 0;
+    var longitudeSum = 0;
+    var bounds = null;
+    keys.forEach(function(key) {
+      var location = members[key];
+      latitudeSum += location[0];
+      longitudeSum += location[1];
+      if (bounds === null) {
+        bounds = [[location[0], location[1]], [location[0], location[1]]];
+      } else {
+        bounds = [
+          [Math.min(bounds[0][0], location[0]), Math.min(bounds[0][1], location[1])],
+          [Math.max(bounds[1][0], location[0]), Math.max(bounds[1][1], location[1])]
+        ];
+      }
+    });
+    return {
+      geohash: geohash,
+      count: keys.length,
+      centroid: [latitudeSum/keys.length, longitudeSum/keys.length],
+      bounds: bounds,
+      keys: keys
+    };
+  }
+
+  /**
+   * Moves a key between the clusters maintained for the cluster query option and fires the "clusters_changed" event
+   * with the clusters it affects.
+   *
+   * @param {string} eventType The event type which fired for the key.
+   * @param {string} key The key of the location.
+   * @param {?Array.<number>} location The location as [latitude, longitude] pair or null.
+   */
+  function _updateClusters(eventType, key, location) {
+    if (_clusterPrecision === null || ["key_entered", "key_exited", "key_moved"].indexOf(eventType) === -1) {
+      return;
+    }
+
+    var changedGeohashes = [];
+    if (_clusterOfKey.hasOwnProperty(key)) {
+      changedGeohashes.push(_clusterOfKey[key]);
+      delete _clusters[_clusterOfKey[key]][key];
+      delete _clusterOfKey[key];
+    }
+    if (eventType !== "key_exited") {
+      var geohash = encodeGeohash(location, _clusterPrecision);
+      if (!_clusters.hasOwnProperty(geohash)) {
+        _clusters[geohash] = {};
+      }
+      _clusters[geohash][key] = location;
+      _clusterOfKey[key] = geohash;
+      if (changedGeohashes.indexOf(geohash) === -1) {
+        changedGeohashes.push(geohash);
+      }
+    }
+
+    var changes = {
+      updated: [],
+      removed: []
+    };
+    changedGeohashes.forEach(function(changedGeohash) {
+      if (Object.keys(_clusters[changedGeohash]).length === 0) {
+        delete _clusters[changedGeohash];
+        changes.removed.push(changedGeohash);
+      } else {
+        changes.updated.push(_describeCluster(changedGeohash, _clusters[changedGeohash]));
+      }
+    });
+    _callbacks.clusters_changed.forEach(function(callback) {
+      callback(changes);
+    });
+  }
+
+  /**
+   * Moves a key between the density cells maintained for the density query option and fires the "density_changed"
+   * event with the cells it affects.
+   *
+   * @param {string} eventType The event type which fired for the key.
+   * @param {string} key The key of the location.
+   * @param {?Array.<number>} location The location as [latitude, longitude] pair or null.
+   */
+  function _updateDensity(eventType, key, location) {
+    if (_densityPrecision === null || ["key_entered", "key_exited", "key_moved"].indexOf(eventType) === -1) {
+      return;
+    }
+
+    var oldGeohash = _densityCellOfKey.hasOwnProperty(key) ? _densityCellOfKey[key] : null;
+    var newGeohash = (eventType === "key_exited") ? null : encodeGeohash(location, _densityPrecision);
+    if (oldGeohash === newGeohash) {
+      return;
+    }
+
+    var changedGeohashes = [];
+    if (oldGeohash !== null) {
+      _densityCounts[oldGeohash]--;
+      delete _densityCellOfKey[key];
+      changedGeohashes.push(oldGeohash);
+    }
+    if (newGeohash !== null) {
+      _densityCounts[newGeohash] = (_densityCounts[newGeohash] || 0) + 1;
+      _densityCellOfKey[key] = newGeohash;
+      changedGeohashes.push(newGeohash);
+    }
+
+    // Emptied cells are passed once with a count of 0
+    var cells = changedGeohashes.map(function(geohash) {
+      var count = _densityCounts[geohash];
+      if (count === 0) {
+        delete _densityCounts[geohash];
+      }
+      return {
+        geohash: geohash,
+        count: count,
+        bounds: geohashBounds(geohash)
+      };
+    });
+    _callbacks.density_changed.forEach(function(callback) {
+      callback(cells);
+    });
+  }
+
+  /**
+   * Schedules the next "changes" event at the end of the current window, unless it is already scheduled.
+   */
+  function _scheduleChanges() {
+    if (_changesTimeout === null) {
+      _changesTimeout = setTimeout(_fireChanges, _changesWindow);
+    }
+  }
+
+  /**
+   * Fires the "changes" event with the changes of the window which just ended. New callbacks are passed every key
+   * within this query as entered instead.
+   */
+  function _fireChanges() {
+    _changesTimeout = null;
+    var pendingChanges = _pendingChanges;
+    var newCallbacks = _newChangesCallbacks;
+    _pendingChanges = {};
+    _newChangesCallbacks = [];
+
+    // A key which entered and exited this query within the window is collapsed, and so is a key which ends the window
+    // where it started it
+    var changes = {
+      entered: [],
+      exited: [],
+      moved: []
+    };
+    Object.keys(pendingChanges).forEach(function(key) {
+      var pendingChange = pendingChanges[key];
+      if (!pendingChange.wasInQuery && pendingChange.isInQuery) {
+        changes.entered.push(pendingChange.change);
+      } else if (pendingChange.wasInQuery && !pendingChange.isInQuery) {
+        changes.exited.push(pendingChange.change);
+      } else if (pendingChange.wasInQuery && pendingChange.isInQuery &&
+                 !_locationsEqual(pendingChange.startLocation, pendingChange.change.location)) {
+        changes.moved.push(pendingChange.change);
+      }
+    });
+
+    var initialChanges = {
+      entered: [],
+      exited: [],
+      moved: []
+    };
+    Object.keys(_locationsTracked).forEach(function(key) {
+      var locationDict = _locationsTracked[key];
+      if (locationDict.isInQuery) {
+        initialChanges.entered.push({
+          key: key,
+          location: locationDict.location,
+          distance: locationDict.distanceFromCenter,
+          data: locationDict.data
+        });
+      }
+    });
+
+    _callbacks.changes.slice().forEach(function(callback) {
+      var callbackChanges = (newCallbacks.indexOf(callback) !== -1) ? initialChanges : changes;
+      if (_callbacks.changes.indexOf(callback) !== -1 &&
+          callbackChanges.entered.length + callbackChanges.exited.length + callbackChanges.moved.length !== 0) {
+        callback(callbackChanges);
       }
     });
   }
@@ -61,14 +326,30 @@ var GeoQuery = function (firebase, firebaseDst, queryCriteria) {
   }
 
   /**
-   * OK
-   * Turns off all callbacks for the provide geohash query.
+   * Turns off all callbacks for the provided geohash query.
+   *
+   * If the Firebase query has not been attached yet, its listeners are removed as soon as it is.
    *
-   * @param {Array.<string>} query The geohash query.
    * @param {Object} queryState An object storing the current state of the query.
    */
-  function _cancelGeohashQuery(listeners, path) {
-    firebase.removeEventListeners(listeners, path);
+  function _cancelGeohashQuery(queryState) {
+    queryState.active = false;
+    queryState.cancelled = true;
+    if (queryState.handle !== null) {
+      _pool.unlisten(queryState.handle);
+      queryState.handle = null;
+    }
+  }
+
+  /**
+   * Throws an error if this query has been cancelled.
+   *
+   * @param {string} methodName The name of the public method being called.
+   */
+  function _assertNotCancelled(methodName) {
+    if (_cancelled) {
+      throw new Error("Cannot call " + methodName + "() on a GeoQuery which has been cancelled");
+    }
   }
 
   /**
@@ -83,7 +364,7 @@ var GeoQuery = function (firebase, firebaseDst, queryCriteria) {
       var queryResult = _currentGeohashesQueried[geohashQueryStr];
       if (queryResult.active === false) {
         // Delete the geohash since it should no longer be queried
-        _cancelGeohashQuery(queryResult.listeners, queryResult.path);
+        _cancelGeohashQuery(queryResult);
         delete _currentGeohashesQueried[geohashQueryStr];
       }
     }
@@ -111,6 +392,181 @@ var GeoQuery = function (firebase, firebaseDst, queryCriteria) {
     }
   }
 
+  /**
+   * Starts the timer which fires the "key_dwelled" event once the provided key has stayed within this query for the
+   * dwell time.
+   *
+   * @param {string} key The key which entered this query.
+   */
+  function _startDwellTimer(key) {
+    if (_dwellTime === null) {
+      return;
+    }
+    _locationsTracked[key].dwellTimer = setTimeout(function() {
+      var locationDict = _locationsTracked[key];
+      locationDict.dwellTimer = null;
+      locationDict.dwelled = true;
+      _fireCallbacksForKey("key_dwelled", key, locationDict.location, locationDict.distanceFromCenter, locationDict.data);
+    }, _dwellTime);
+  }
+
+  /**
+   * Stops the dwell timer of a tracked location, if it is running.
+   *
+   * @param {Object} locationDict The tracked location.
+   */
+  function _clearDwellTimer(locationDict) {
+    if (locationDict.dwellTimer) {
+      clearTimeout(locationDict.dwellTimer);
+      locationDict.dwellTimer = null;
+    }
+  }
+
+  /**
+   * Makes a tracked key exit this query: stops its timers and fires the "key_exited" event with its last location.
+   * The key stays tracked.
+   *
+   * @param {string} key The key which exits this query.
+   */
+  function _exitKey(key) {
+    var locationDict = _locationsTracked[key];
+    locationDict.isInQuery = false;
+    _clearDwellTimer(locationDict);
+    _clearExitTimer(locationDict);
+    _clearStaleTimer(locationDict);
+    _clearMoveTimer(locationDict);
+    locationDict.dwelled = false;
+    _fireCallbacksForKey("key_exited", key, locationDict.location, locationDict.distanceFromCenter, locationDict.data);
+  }
+
+  /**
+   * Starts the timer which fires the "key_exited" event once the provided key has stayed outside of the region of
+   * this query for the exit delay.
+   *
+   * @param {string} key The key which left the region of this query.
+   */
+  function _startExitTimer(key) {
+    _locationsTracked[key].exitTimer = setTimeout(function() {
+      _locationsTracked[key].exitTimer = null;
+      _exitKey(key);
+    }, _exitDelay);
+  }
+
+  /**
+   * Stops the exit timer of a tracked location, if it is running.
+   *
+   * @param {Object} locationDict The tracked location.
+   */
+  function _clearExitTimer(locationDict) {
+    if (locationDict.exitTimer) {
+      clearTimeout(locationDict.exitTimer);
+      locationDict.exitTimer = null;
+    }
+  }
+
+  /**
+   * Checks if a location was written recently enough to be taken into account by this query.
+   *
+   * @param {?number} timestamp The time at which the location was written, or null if it is unknown.
+   * @return {boolean} Returns true if the location is not older than the maximum age of this query.
+   */
+  function _isFresh(timestamp) {
+    return _maxAge === null || timestamp === null || Date.now() - timestamp < _maxAge;
+  }
+
+  /**
+   * Starts the timer which fires the "key_exited" event once the location of the provided key is older than the
+   * maximum age of this query.
+   *
+   * @param {string} key The key within this query.
+   */
+  function _startStaleTimer(key) {
+    var timestamp = _locationsTracked[key].timestamp;
+    if (_maxAge === null || timestamp === null) {
+      return;
+    }
+    _locationsTracked[key].staleTimer = setTimeout(function() {
+      _locationsTracked[key].staleTimer = null;
+      _exitKey(key);
+    }, Math.max(timestamp + _maxAge - Date.now(), 0));
+  }
+
+  /**
+   * Stops the stale timer of a tracked location, if it is running.
+   *
+   * @param {Object} locationDict The tracked location.
+   */
+  function _clearStaleTimer(locationDict) {
+    if (locationDict.staleTimer) {
+      clearTimeout(locationDict.staleTimer);
+      locationDict.staleTimer = null;
+    }
+  }
+
+  /**
+   * Checks if a key within this query has moved far enough from the location last passed to its callbacks to fire
+   * the "key_moved" event.
+   *
+   * @param {Object} locationDict The tracked location of the key.
+   * @return {boolean} Returns true if the key has moved at least the move threshold of this query.
+   */
+  function _hasMovedEnough(locationDict) {
+    var reportedLocation = locationDict.reportedLocation;
+    if (_moveThreshold === null) {
+      return locationDict.location[0] !== reportedLocation[0] || locationDict.location[1] !== reportedLocation[1];
+    }
+    return calculateDistance(reportedLocation, locationDict.location, _units, _ellipsoidal) >= _moveThreshold;
+  }
+
+  /**
+   * Records the location of a key within this query as passed to its callbacks.
+   *
+   * @param {Object} locationDict The tracked location of the key.
+   */
+  function _setReported(locationDict) {
+    locationDict.reportedLocation = locationDict.location;
+    locationDict.reportedAt = Date.now();
+  }
+
+  /**
+   * Fires the "key_moved" event for a key which has moved within this query. Within the move interval after the
+   * previous event of the key, the event is held back and fires at the end of the interval with the latest location
+   * of the key.
+   *
+   * @param {string} key The key which has moved.
+   */
+  function _fireMoved(key) {
+    var locationDict = _locationsTracked[key];
+    var wait = (_moveInterval === null) ? 0 : locationDict.reportedAt + _moveInterval - Date.now();
+    if (wait > 0) {
+      if (!locationDict.moveTimer) {
+        locationDict.moveTimer = setTimeout(function() {
+          var currentLocationDict = _locationsTracked[key];
+          currentLocationDict.moveTimer = null;
+          if (currentLocationDict.isInQuery && !currentLocationDict.exitTimer && _hasMovedEnough(currentLocationDict)) {
+            _fireMoved(key);
+          }
+        }, wait);
+      }
+      return;
+    }
+
+    _setReported(locationDict);
+    _fireCallbacksForKey("key_moved", key, locationDict.location, locationDict.distanceFromCenter, locationDict.data);
+  }
+
+  /**
+   * Stops the move timer of a tracked location, if it is running.
+   *
+   * @param {Object} locationDict The tracked location.
+   */
+  function _clearMoveTimer(locationDict) {
+    if (locationDict.moveTimer) {
+      clearTimeout(locationDict.moveTimer);
+      locationDict.moveTimer = null;
+    }
+  }
+
   /**
    * OK
    * Callback for any updates to locations. Will update the information about a key and fire any necessary
@@ -121,34 +577,288 @@ var GeoQuery = function (firebase, firebaseDst, queryCriteria) {
    *
    * @param {string} key The key of the geofire location.
    * @param {?Array.<number>} location The location as [latitude, longitude] pair.
+   * @param {?Object} data The payload stored with the location or null.
+   * @param {?number} timestamp The time at which the location was written, or null if it is unknown.
    */
-  function _updateLocation(key, location) {
+  function _updateLocation(key, location, data, timestamp) {
     validateLocation(location);
     // Get the key and location
     var distanceFromCenter, isInQuery;
     var wasInQuery = (_locationsTracked.hasOwnProperty(key)) ? _locationsTracked[key].isInQuery : false;
     var oldLocation = (_locationsTracked.hasOwnProperty(key)) ? _locationsTracked[key].location : null;
+    var oldData = (_locationsTracked.hasOwnProperty(key)) ? _locationsTracked[key].data : null;
+    var oldLocationDict = (_locationsTracked.hasOwnProperty(key)) ? _locationsTracked[key] : null;
 
     // Determine if the location is within this query
-    distanceFromCenter = GeoFire.distance(location, _center);
-    isInQuery = (distanceFromCenter <= _radius);
+    distanceFromCenter = _distanceFromCenter(location);
+    var isInRegion = _isInRegion(location, distanceFromCenter, wasInQuery);
+    var passesFilter = keyMatchesAttributeFilter(key, location, data, _currentCriteria()) && _isFresh(timestamp);
+    isInQuery = isInRegion && passesFilter;
+
+    // A key leaving the region of this query only exits it once it has stayed outside for the exit delay
+    var exitPending = (wasInQuery && !isInRegion && passesFilter && _exitDelay !== null);
 
     // Add this location to the locations queried dictionary even if it is not within this query
     _locationsTracked[key] = {
       location: location,
       distanceFromCenter: distanceFromCenter,
-      isInQuery: isInQuery,
-      geohash: encodeGeohash(location, g_GEOHASH_PRECISION)
+      isInQuery: isInQuery || exitPending,
+      geohash: encodeGeohash(location, storage.precision),
+      data: data,
+      timestamp: timestamp,
+      dwellTimer: null,
+      dwelled: false,
+      exitTimer: null,
+      staleTimer: null,
+      reportedLocation: location,
+      reportedAt: null,
+      moveTimer: null
     };
 
+    // Keep the dwell state while the key stays within this query, and stop it once the key exits
+    if (oldLocationDict !== null && (isInQuery || exitPending) && wasInQuery) {
+      _locationsTracked[key].dwellTimer = oldLocationDict.dwellTimer;
+      _locationsTracked[key].dwelled = oldLocationDict.dwelled;
+    } else if (oldLocationDict !== null) {
+      _clearDwellTimer(oldLocationDict);
+    }
+
+    // Keep the exit timer while the key stays outside of the region, and stop it once the key is back
+    if (exitPending && oldLocationDict.exitTimer) {
+      _locationsTracked[key].exitTimer = oldLocationDict.exitTimer;
+    } else if (exitPending) {
+      _startExitTimer(key);
+    } else if (oldLocationDict !== null) {
+      _clearExitTimer(oldLocationDict);
+    }
+
+    // Keep the location last passed to the callbacks while the key stays within this query, and only keep a held back
+    // "key_moved" event while the key is within the region of this query
+    if (oldLocationDict !== null && (isInQuery || exitPending) && wasInQuery) {
+      _locationsTracked[key].reportedLocation = oldLocationDict.reportedLocation;
+      _locationsTracked[key].reportedAt = oldLocationDict.reportedAt;
+    }
+    if (oldLocationDict !== null && isInQuery && wasInQuery) {
+      _locationsTracked[key].moveTimer = oldLocationDict.moveTimer;
+    } else if (oldLocationDict !== null) {
+      _clearMoveTimer(oldLocationDict);
+    }
+
+    // Restart the stale timer from the time of this write while the key stays within this query
+    if (oldLocationDict !== null) {
+      _clearStaleTimer(oldLocationDict);
+    }
+    if (isInQuery || exitPending) {
+      _startStaleTimer(key);
+    }
+
+    if (exitPending) {
+      // No event fires until the key is back in the region or has exited this query
+      return;
+    }
+
     // Fire the "key_entered" event if the provided key has entered this query
     if (isInQuery && !wasInQuery) {
-      _fireCallbacksForKey("key_entered", key, location, distanceFromCenter);
-    } else if (isInQuery && oldLocation !== null && (location[0] !== oldLocation[0] || location[1] !== oldLocation[1])) {
-      _fireCallbacksForKey("key_moved", key, location, distanceFromCenter);
+      _startDwellTimer(key);
+      _setReported(_locationsTracked[key]);
+      _fireCallbacksForKey("key_entered", key, location, distanceFromCenter, data);
+    } else if (isInQuery && oldLocation !== null && (location[0] !== oldLocation[0] || location[1] !== oldLocation[1]) &&
+               _hasMovedEnough(_locationsTracked[key])) {
+      _fireMoved(key);
+    } else if (isInQuery && JSON.stringify(data) !== JSON.stringify(oldData)) {
+      _fireCallbacksForKey("key_changed", key, location, distanceFromCenter, data);
     } else if (!isInQuery && wasInQuery) {
-      _fireCallbacksForKey("key_exited", key, location, distanceFromCenter);
+      _fireCallbacksForKey("key_exited", key, location, distanceFromCenter, data);
+    }
+  }
+
+  /**
+   * Saves validated query criteria, which either describe a circular query, a bounds query or a polygon query,
+   * and the attribute filters of the query.
+   *
+   * @param {Object} queryCriteria The criteria which specifies the query's center and radius, its bounds or its
+   * polygon, and optionally its filter and where attributes.
+   */
+  function _saveCriteria(queryCriteria) {
+    _bounds = null;
+    _polygon = null;
+    _radius = null;
+    if (queryCriteria.bounds) {
+      _bounds = queryCriteria.bounds;
+    } else if (queryCriteria.polygon) {
+      _polygon = queryCriteria.polygon;
+    } else {
+      _radius = queryCriteria.radius;
+    }
+    _center = queryCriteriaCenter(queryCriteria);
+    _filter = queryCriteria.filter || null;
+    _where = queryCriteria.where || null;
+    _units = queryCriteria.units || "km";
+    _ellipsoidal = queryCriteria.ellipsoidal || false;
+  }
+
+  /**
+   * Returns the criteria currently describing this query.
+   *
+   * @return {Object} The criteria which specifies the query's center and radius, its bounds or its polygon, its
+   * filter and where attributes, and its distance units and whether its distances are ellipsoidal.
+   */
+  function _currentCriteria() {
+    return {
+      center: _center,
+      radius: _radius,
+      bounds: _bounds,
+      polygon: _polygon,
+      filter: _filter,
+      where: _where,
+      units: _units,
+      ellipsoidal: _ellipsoidal
+    };
+  }
+
+  /**
+   * Calculates the distance from a location to the center of this query, in the units of this query.
+   *
+   * @param {Array.<number>} location The location as [latitude, longitude] pair.
+   * @return {number} The distance from the location to the center of this query.
+   */
+  function _distanceFromCenter(location) {
+    return calculateDistance(location, _center, _units, _ellipsoidal);
+  }
+
+  /**
+   * Checks if a location is within the region of this query. A key which was within this query stays within its
+   * region until it is further away than the exit buffer.
+   *
+   * @param {Array.<number>} location The location as [latitude, longitude] pair.
+   * @param {number} distanceFromCenter The distance from the location to the center of this query.
+   * @param {boolean} wasInQuery Whether the key of the location was within this query.
+   * @return {boolean} Returns true if the location is within the region of this query.
+   */
+  function _isInRegion(location, distanceFromCenter, wasInQuery) {
+    if (wasInQuery && _exitBuffer !== null) {
+      return locationNearQueryCriteria(location, distanceFromCenter, _currentCriteria(), _exitBuffer);
+    }
+    return locationInQueryCriteria(location, distanceFromCenter, _currentCriteria());
+  }
+
+  /**
+   * Checks if a key is within this query: its location must be within the region of this query, it must pass the
+   * attribute filters of this query and it must not be older than the maximum age of this query.
+   *
+   * @param {string} key The key of the location.
+   * @param {Object} locationDict The tracked location of the key.
+   * @param {boolean} wasInQuery Whether the key was within this query.
+   * @return {boolean} Returns true if the key is within this query.
+   */
+  function _isInQuery(key, locationDict, wasInQuery) {
+    return _isInRegion(locationDict.location, locationDict.distanceFromCenter, wasInQuery) &&
+           keyMatchesAttributeFilter(key, locationDict.location, locationDict.data, _currentCriteria()) &&
+           _isFresh(locationDict.timestamp);
+  }
+
+  /**
+   * Moves the center of this query to the latest position passed to updatePosition().
+   */
+  function _applyFollowPosition() {
+    if (_followTimeout !== null) {
+      clearTimeout(_followTimeout);
+      _followTimeout = null;
     }
+    _followUpdatedAt = Date.now();
+    if (_followPosition[0] !== _center[0] || _followPosition[1] !== _center[1]) {
+      self.updateCriteria({
+        center: _followPosition
+      });
+    }
+  }
+
+  /**
+   * Validates the event types of an event stream and fills in the default ones.
+   *
+   * @param {Array.<string>=} eventTypes The event types of the stream. Defaults to the "key_entered", "key_exited",
+   * "key_moved" and "key_changed" event types.
+   * @return {Array.<string>} The event types of the stream.
+   */
+  function _streamEventTypes(eventTypes) {
+    if (typeof eventTypes === "undefined") {
+      return ["key_entered", "key_exited", "key_moved", "key_changed"];
+    }
+    if (!Array.isArray(eventTypes) || eventTypes.length === 0) {
+      throw new Error("eventTypes must be a non-empty array");
+    }
+    eventTypes.forEach(function(eventType) {
+      validateQueryEventType(eventType, queryOptions);
+      if (["changes", "clusters_changed", "density_changed", "error"].indexOf(eventType) !== -1) {
+        throw new Error("event streams only support the \"ready\" and \"key_*\" event types");
+      }
+    });
+    return eventTypes;
+  }
+
+  /**
+   * Opens a stream of the events of this query, passing each event as a { type, key, location, distance, data }
+   * object. The stream ends when this query is cancelled.
+   *
+   * @param {Array.<string>} eventTypes The event types of the stream.
+   * @param {function(Object)} onEvent Called with each event.
+   * @param {function()} onEnd Called when this query is cancelled.
+   * @return {Object} The stream, whose close() method cancels its callbacks.
+   */
+  function _openStream(eventTypes, onEvent, onEnd) {
+    var stream = {
+      registrations: [],
+      closed: false,
+      onEnd: onEnd,
+      close: function() {
+        if (stream.closed) {
+          return;
+        }
+        stream.closed = true;
+        stream.registrations.forEach(function(registration) {
+          registration.cancel();
+        });
+        stream.registrations = [];
+        var index = _streams.indexOf(stream);
+        if (index !== -1) {
+          _streams.splice(index, 1);
+        }
+      }
+    };
+    _streams.push(stream);
+
+    // The callbacks can fire right away, and close the stream, while they are being attached
+    eventTypes.forEach(function(eventType) {
+      if (stream.closed) {
+        return;
+      }
+      var registration = self.on(eventType, function(key, location, distance, data) {
+        if (!stream.closed) {
+          onEvent({
+            type: eventType,
+            key: (typeof key === "undefined") ? null : key,
+            location: (typeof location === "undefined") ? null : location,
+            distance: (typeof distance === "undefined") ? null : distance,
+            data: (typeof data === "undefined") ? null : data
+          });
+        }
+      });
+      if (stream.closed) {
+        registration.cancel();
+      } else {
+        stream.registrations.push(registration);
+      }
+    });
+    return stream;
+  }
+
+  /**
+   * Calculates the geohash queries which contain this query and its exit buffer.
+   *
+   * @return {Array.<Array.<string>>} An array of geohashes containing a [start, end] pair.
+   */
+  function _geohashQueries() {
+    return queryCriteriaGeohashQueries(_currentCriteria(), storage.precision, _exitBuffer);
   }
 
   /**
@@ -180,16 +890,36 @@ var GeoQuery = function (firebase, firebaseDst, queryCriteria) {
    * @param {string} key The key to be removed.
    * @param {?Array.<number>} currentLocation The current location as [latitude, longitude] pair
    * or null if removed.
+   * @param {?Object} currentData The current payload stored with the location or null.
    */
-  function _removeLocation(key, currentLocation) {
+  function _removeLocation(key, currentLocation, currentData) {
     var locationDict = _locationsTracked[key];
     delete _locationsTracked[key];
+    if (typeof locationDict !== "undefined") {
+      _clearDwellTimer(locationDict);
+      _clearExitTimer(locationDict);
+      _clearStaleTimer(locationDict);
+      _clearMoveTimer(locationDict);
+    }
     if (typeof locationDict !== "undefined" && locationDict.isInQuery) {
-      var distanceFromCenter = (currentLocation) ? GeoFire.distance(currentLocation, _center) : null;
-      _fireCallbacksForKey("key_exited", key, currentLocation, distanceFromCenter);
+      var distanceFromCenter = (currentLocation) ? _distanceFromCenter(currentLocation) : null;
+      _fireCallbacksForKey("key_exited", key, currentLocation, distanceFromCenter, currentData);
     }
   }
 
+  /**
+   * Stops tracking the keys which are no longer covered by any geohash query, firing the "key_exited" event for the
+   * ones within this query with their last location.
+   */
+  function _removeUncoveredLocations() {
+    Object.keys(_locationsTracked).forEach(function(key) {
+      var locationDict = _locationsTracked[key];
+      if (typeof locationDict !== "undefined" && !_geohashInSomeQuery(locationDict.geohash)) {
+        _removeLocation(key, locationDict.location, locationDict.data);
+      }
+    });
+  }
+
   /**
    * OK
    * Callback for child added events.
@@ -197,7 +927,7 @@ var GeoQuery = function (firebase, firebaseDst, queryCriteria) {
    * @param {Firebase DataSnapshot} locationDataSnapshot A snapshot of the data stored for this location.
    */
   function _childAddedCallback(k,v) {
-    _updateLocation(k, decodeGeoFireObject(v));
+    _updateLocation(k, decodeGeoFireObject(v, storage), decodeGeoFireData(v, storage), decodeGeoFireTimestamp(v, storage));
   }
 
   /**
@@ -207,29 +937,104 @@ var GeoQuery = function (firebase, firebaseDst, queryCriteria) {
    * @param {Firebase DataSnapshot} locationDataSnapshot A snapshot of the data stored for this location.
    */
   function _childChangedCallback(k,v) {
-    _updateLocation(k, decodeGeoFireObject(v));
+    _updateLocation(k, decodeGeoFireObject(v, storage), decodeGeoFireData(v, storage), decodeGeoFireTimestamp(v, storage));
   }
 
   /**
    * OK
    * Callback for child removed events
    *
-   * @param {Firebase DataSnapshot} locationDataSnapshot A snapshot of the data stored for this location.
+   * A key is removed from a geohash query's range both when it is removed from GeoFire and when it moves to
+   * another range, so the current value of the key is read to tell the two apart. Every event of the key replaces
+   * its tracked location, so the removal is dropped if one arrives while the value is being read: the read may
+   * predate it.
+   *
+   * @param {string} k The key of the location which was removed from a geohash query.
    */
-  
-  function _childRemovedCallback(k,v) {
+  function _childRemovedCallback(k) {
     if (_locationsTracked.hasOwnProperty(k)) {
-      var location = v === null ? null : decodeGeoFireObject(v);
-      var geohash = (location !== null) ? encodeGeohash(location) : null;
-      // Only notify observers if key is not part of any other geohash query or this actually might not be
-      // a key exited event, but a key moved or entered event. These events will be triggered by updates
-      // to a different query
-      if (!_geohashInSomeQuery(geohash)) {
-        _removeLocation(k, location);
+      var locationDict = _locationsTracked[k];
+      _pool.once(firebaseDst + "/" + k).then(function(value) {
+        if (_cancelled || _locationsTracked[k] !== locationDict) {
+          return;
+        }
+        var location = (value === null) ? null : decodeGeoFireObject(value, storage);
+        var geohash = (location !== null) ? encodeGeohash(location, storage.precision) : null;
+        // Only notify observers if key is not part of any other geohash query or this actually might not be
+        // a key exited event, but a key moved or entered event. These events will be triggered by updates
+        // to a different query
+        if (!_geohashInSomeQuery(geohash)) {
+          _removeLocation(k, location, (value === null) ? null : decodeGeoFireData(value, storage));
+        }
+      }, function(error) {
+        // The key is kept until its next event
+        if (!_cancelled) {
+          _fireErrorCallbacks(error);
+        }
+      });
+    }
+  }
+
+  /**
+   * Returns the range of children which a geohash query selects.
+   *
+   * @param {Array.<string>} query The geohash query as a [start, end] pair.
+   * @return {Object} The range to pass to the adapter.
+   */
+  function _geohashQueryRange(query) {
+    return {
+      child: storage.geohashField,
+      start: query[0],
+      end: query[1]
+    };
+  }
+
+  /**
+   * Fires the "ready" callbacks.
+   */
+  function _fireReadyEventCallbacks() {
+    _callbacks.ready.slice().forEach(function(callback) {
+      if (_callbacks.ready.indexOf(callback) !== -1) {
+        callback();
+      }
+    });
+  }
+
+  /**
+   * Fires the "error" callbacks.
+   *
+   * @param {Error} error The error which occurred.
+   */
+  function _fireErrorCallbacks(error) {
+    _callbacks.error.slice().forEach(function(callback) {
+      if (_callbacks.error.indexOf(callback) !== -1) {
+        callback(error);
       }
+    });
+  }
+
+  /**
+   * Called once the initial data of a geohash query has been loaded, or failed to load. Fires the "ready" event once every
+   * outstanding geohash query of the current criteria has been loaded.
+   *
+   * @param {string=} geohashQueryStr The geohash query which has been loaded.
+   */
+  function _geohashQueryReadyCallback(geohashQueryStr) {
+    var index = _outstandingGeohashReadyEvents.indexOf(geohashQueryStr);
+    if (index > -1) {
+      _outstandingGeohashReadyEvents.splice(index, 1);
+    }
+    else if (typeof geohashQueryStr !== "undefined") {
+      // This geohash query belongs to criteria which have since been updated
+      return;
+    }
+
+    // If all queries have been processed, fire the ready event
+    if (_outstandingGeohashReadyEvents.length === 0) {
+      _valueEventFired = true;
+      _fireReadyEventCallbacks();
     }
   }
-  
 
   /**
    * OK
@@ -238,7 +1043,7 @@ var GeoQuery = function (firebase, firebaseDst, queryCriteria) {
    */
   function _listenForNewGeohashes() {
     // Get the list of geohashes to query
-    var geohashesToQuery = geohashQueries(_center, _radius*1000).map(_queryToString);
+    var geohashesToQuery = _geohashQueries().map(_queryToString);
     // Filter out duplicate geohashes
     geohashesToQuery = geohashesToQuery.filter(function(geohash, i){
       return geohashesToQuery.indexOf(geohash) === i;
@@ -261,6 +1066,15 @@ var GeoQuery = function (firebase, firebaseDst, queryCriteria) {
       }
     }
 
+    // Keep track of which geohashes have been processed so we know when to fire the "ready" event: the new ones and
+    // the ones still loading which are kept
+    var loadingGeohashes = Object.keys(_currentGeohashesQueried).filter(function(geohashQueryStr) {
+      var queryState = _currentGeohashesQueried[geohashQueryStr];
+      return queryState.active && !queryState.loaded;
+    });
+    _outstandingGeohashReadyEvents = geohashesToQuery.concat(loadingGeohashes);
+    _valueEventFired = (_outstandingGeohashReadyEvents.length === 0);
+
     // If we are not already cleaning up the current geohashes queried and we have more than 25 of them,
     // kick off a timeout to clean them up so we don't create an infinite number of unneeded queries.
     if (_geohashCleanupScheduled === false && Object.keys(_currentGeohashesQueried).length > 25) {
@@ -276,61 +1090,96 @@ var GeoQuery = function (firebase, firebaseDst, queryCriteria) {
       // decode the geohash query string
       var query = _stringToQuery(toQueryStr);
 
+      // Add the geohash query to the current geohashes queried dictionary right away so that the
+      // events fired before the Firebase query is attached, and a cancel(), can find it
+      var queryState = {
+        active: true,
+        cancelled: false,
+        // Whether the initial data of the geohash query has been loaded
+        loaded: false,
+        handle: null,
+        // The keys reported by the listener while the initial data is loading, by key
+        liveKeys: {}
+      };
+      _currentGeohashesQueried[toQueryStr] = queryState;
+
       // Create the Firebase query
-      var onQueryEvent = function(result) {
-        if (!result.error) {
-          if(result.type==="ChildAdded"){
-            _childAddedCallback(result.key, result.value);
-          } else if(result.type==="ChildRemoved"){
-            _childRemovedCallback(result.key, result.value);
-          } else if(result.type==="ChildChanged"){
-            _childChangedCallback(result.key, result.value);
+      var onChildEvent = function(eventType, key, value) {
+        if (!queryState.cancelled) {
+          if (queryState.liveKeys !== null) {
+            queryState.liveKeys[key] = true;
+          }
+          if (eventType === "child_added") {
+            _childAddedCallback(key, value);
+          } else if (eventType === "child_removed") {
+            _childRemovedCallback(key);
+          } else if (eventType === "child_changed") {
+            _childChangedCallback(key, value);
           }
         }
       };
 
-      firebase.query(
-          onQueryEvent,
-          firebaseDst,
-          {
-              // default false, so it listens continuously.
-              singleEvent: false,
-              orderBy: {
-                  type: firebase.QueryOrderByType.CHILD,
-                  value: "g" // mandatory when type is 'child'
-              },
-              ranges: [
-                {
-                    type: firebase.QueryRangeType.START_AT,
-                    value: query[0]
-                },
-                {
-                    type: firebase.QueryRangeType.END_AT,
-                    value: query[1]
-                }
-              ]
+      var onError = function(error) {
+        if (!queryState.cancelled) {
+          // Drop the geohash query so that the next update of the criteria queries it again, along with the keys
+          // only it covered, report the failure and let this query become ready without it
+          _cancelGeohashQuery(queryState);
+          if (_currentGeohashesQueried[toQueryStr] === queryState) {
+            delete _currentGeohashesQueried[toQueryStr];
           }
-      ).then(function(result) {
-				// Add the geohash query to the current geohashes queried dictionary and save its state
-        _currentGeohashesQueried[toQueryStr] = {
-          active: true,
-          path: result.path,
-          listeners: result.listeners
-        };
-			}).catch(function(err) {
-				console.log(err);
-        throw new Error(err);
-			});
-      
+          _removeUncoveredLocations();
+          _fireErrorCallbacks(error);
+          _geohashQueryReadyCallback(toQueryStr);
+        }
+      };
+
+      var range = _geohashQueryRange(query);
+      _pool.listen(firebaseDst, range, onChildEvent, onError).then(function(handle) {
+        // Save the listener so it can be removed later, or remove it right away if the geohash
+        // query was cleaned up or this GeoQuery was cancelled while the listener was being attached
+        if (queryState.cancelled) {
+          _pool.unlisten(handle);
+          return null;
+        }
+        queryState.handle = handle;
+
+        // Most child listeners do not tell when the initial data has been loaded, so read the range once unless the
+        // listener already holds it
+        if (typeof handle.initialValue !== "undefined") {
+          return handle.initialValue;
+        }
+        return _pool.once(firebaseDst, range);
+      }).then(function(value) {
+        if (!queryState.cancelled) {
+          // Dispatch the initial state of the range, except for the keys already reported by the listener: the
+          // initial data may predate their events
+          if (value !== null && typeof value === "object") {
+            Object.keys(value).forEach(function(key) {
+              if (!queryState.liveKeys.hasOwnProperty(key)) {
+                _childAddedCallback(key, value[key]);
+              }
+            });
+          }
+          queryState.liveKeys = null;
+          queryState.loaded = true;
+          _geohashQueryReadyCallback(toQueryStr);
+        }
+      }, onError);
     });
-    
+
+    // Based upon the algorithm to calculate geohashes, it's possible that no "new" geohashes were queried
+    // even if the client updates the radius of the query. Fire the "ready" event right away if none is loading.
+    if (geohashesToQuery.length === 0 && loadingGeohashes.length === 0) {
+      _geohashQueryReadyCallback();
+    }
   }
 
   /********************/
   /*  PUBLIC METHODS  */
   /********************/
   /**
-   * Returns the location signifying the center of this query.
+   * Returns the location signifying the center of this query. The center of a bounds query is the center of
+   * its bounds, the center of a polygon query is the center of the polygon's bounds.
    *
    * @return {Array.<number>} The [latitude, longitude] pair signifying the center of this query.
    */
@@ -339,25 +1188,164 @@ var GeoQuery = function (firebase, firebaseDst, queryCriteria) {
   };
 
   /**
-   * Returns the radius of this query, in kilometers.
+   * Returns the radius of this query, in the units of this query, or null if this is not a circular query.
    *
-   * @return {number} The radius of this query, in kilometers.
+   * @return {?number} The radius of this query, in the units of this query.
    */
   this.radius = function() {
     return _radius;
   };
 
+  /**
+   * Returns the bounds of this query, or null if this is not a bounds query.
+   *
+   * @return {?Array.<Array.<number>>} The bounds of this query as [[south, west], [north, east]].
+   */
+  this.bounds = function() {
+    return _bounds;
+  };
+
+  /**
+   * Returns the polygon of this query, or null if this is not a polygon query.
+   *
+   * @return {?Array.<Array.<number>>} The vertices of the polygon as [latitude, longitude] pairs.
+   */
+  this.polygon = function() {
+    return _polygon;
+  };
+
+  /**
+   * Returns the units of the radius of this query and of the distances passed to its callbacks.
+   *
+   * @return {string} The units of this query: "m", "km", "mi" or "nmi".
+   */
+  this.units = function() {
+    return _units;
+  };
+
+  /**
+   * Returns the filter function of this query, or null if it has none.
+   *
+   * @return {?function(string, Array.<number>, ?Object): boolean} The filter function of this query.
+   */
+  this.filter = function() {
+    return _filter;
+  };
+
+  /**
+   * Returns the fields which the payload of a key must match to be within this query, or null if there are none.
+   *
+   * @return {?Object} The where attribute of this query.
+   */
+  this.where = function() {
+    return _where;
+  };
+
+  /**
+   * Returns the keys within this query grouped by the geohash prefix of their location.
+   *
+   * Without a precision, returns the clusters maintained for the cluster query option.
+   *
+   * @param {number=} precision The length of the geohash prefix shared by the keys of a cluster.
+   * @return {Array.<Object>} The clusters as { geohash, count, centroid, bounds, keys } objects, where centroid is
+   * the mean [latitude, longitude] pair of the keys and bounds are the bounds of their locations as
+   * [[south, west], [north, east]].
+   */
+  this.clusters = function(precision) {
+    _assertNotCancelled("clusters");
+    if (typeof precision === "undefined") {
+      if (_clusterPrecision === null) {
+        throw new Error("clusters() requires a precision or the cluster query option");
+      }
+      return Object.keys(_clusters).map(function(geohash) {
+        return _describeCluster(geohash, _clusters[geohash]);
+      });
+    }
+    validatePrecision(precision);
+
+    var clusters = {};
+    Object.keys(_locationsTracked).forEach(function(key) {
+      var locationDict = _locationsTracked[key];
+      if (locationDict.isInQuery) {
+        var geohash = encodeGeohash(locationDict.location, precision);
+        if (!clusters.hasOwnProperty(geohash)) {
+          clusters[geohash] = {};
+        }
+        clusters[geohash][key] = locationDict.location;
+      }
+    });
+    return Object.keys(clusters).map(function(geohash) {
+      return _describeCluster(geohash, clusters[geohash]);
+    });
+  };
+
+  /**
+   * Returns the number of keys within this query in each geohash cell.
+   *
+   * Without a precision, returns the density cells maintained for the density query option.
+   *
+   * @param {number=} precision The length of the geohashes of the cells.
+   * @return {Array.<Object>} The cells holding at least one key as { geohash, count, bounds } objects, sorted by
+   * geohash, where bounds are the bounds of the cell as [[south, west], [north, east]].
+   */
+  this.density = function(precision) {
+    _assertNotCancelled("density");
+    if (typeof precision === "undefined") {
+      if (_densityPrecision === null) {
+        throw new Error("density() requires a precision or the density query option");
+      }
+      return Object.keys(_densityCounts).sort().map(function(geohash) {
+        return {
+          geohash: geohash,
+          count: _densityCounts[geohash],
+          bounds: geohashBounds(geohash)
+        };
+      });
+    }
+
+    var locations = [];
+    Object.keys(_locationsTracked).forEach(function(key) {
+      if (_locationsTracked[key].isInQuery) {
+        locations.push(_locationsTracked[key].location);
+      }
+    });
+    return geohashCellCounts(locations, precision);
+  };
+
   /**
    * OK
    * Updates the criteria for this query.
    *
-   * @param {Object} newQueryCriteria The criteria which specifies the query's center and radius.
+   * The shape of the query can be changed by providing bounds or a polygon, or both a center and a radius. The
+   * attribute filters can be replaced without changing the region of the query, and removed by setting them to null.
+   * Changing the units without providing a radius keeps the radius the same length.
+   *
+   * @param {Object} newQueryCriteria The criteria which specifies the query's center and radius, its bounds or its
+   * polygon, and optionally its filter and where attributes.
    */
   this.updateCriteria = function(newQueryCriteria) {
+    _assertNotCancelled("updateCriteria");
+
     // Validate and save the new query criteria
     validateCriteria(newQueryCriteria);
-    _center = newQueryCriteria.center || _center;
-    _radius = newQueryCriteria.radius || _radius;
+    var hasCircle = (typeof newQueryCriteria.center !== "undefined" || typeof newQueryCriteria.radius !== "undefined");
+    if (_radius === null && hasCircle &&
+        (typeof newQueryCriteria.center === "undefined" || typeof newQueryCriteria.radius === "undefined")) {
+      throw new Error("query criteria for a bounds or polygon query must contain both a center and a radius, bounds or a polygon");
+    }
+    var keepsRegion = (!hasCircle && typeof newQueryCriteria.bounds === "undefined" && typeof newQueryCriteria.polygon === "undefined");
+    var units = newQueryCriteria.units || _units;
+    var radius = newQueryCriteria.radius || ((_radius === null) ? null : _radius*g_DISTANCE_UNITS[_units]/g_DISTANCE_UNITS[units]);
+    _saveCriteria({
+      center: newQueryCriteria.center || _center,
+      radius: radius,
+      bounds: keepsRegion ? _bounds : newQueryCriteria.bounds,
+      polygon: keepsRegion ? _polygon : newQueryCriteria.polygon,
+      filter: (typeof newQueryCriteria.filter !== "undefined") ? newQueryCriteria.filter : _filter,
+      where: (typeof newQueryCriteria.where !== "undefined") ? newQueryCriteria.where : _where,
+      units: units,
+      ellipsoidal: (typeof newQueryCriteria.ellipsoidal !== "undefined") ? newQueryCriteria.ellipsoidal : _ellipsoidal
+    });
 
     // Loop through all of the locations in the query, update their distance from the center of the
     // query, and fire any appropriate events
@@ -373,19 +1361,23 @@ var GeoQuery = function (firebase, firebaseDst, queryCriteria) {
       var wasAlreadyInQuery = locationDict.isInQuery;
 
       // Update the location's distance to the new query center
-      locationDict.distanceFromCenter = GeoFire.distance(locationDict.location, _center);
+      locationDict.distanceFromCenter = _distanceFromCenter(locationDict.location);
 
-      // Determine if the location is now in this query
-      locationDict.isInQuery = (locationDict.distanceFromCenter <= _radius);
+      // Determine if the location is now in this query, any pending exit is settled by the new criteria
+      locationDict.isInQuery = _isInQuery(key, locationDict, wasAlreadyInQuery);
+      _clearExitTimer(locationDict);
 
       // If the location just left the query, fire the "key_exited" callbacks
       if (wasAlreadyInQuery && !locationDict.isInQuery) {
-        _fireCallbacksForKey("key_exited", key, locationDict.location, locationDict.distanceFromCenter);
+        _exitKey(key);
       }
 
       // If the location just entered the query, fire the "key_entered" callbacks
       else if (!wasAlreadyInQuery && locationDict.isInQuery) {
-        _fireCallbacksForKey("key_entered", key, locationDict.location, locationDict.distanceFromCenter);
+        _startDwellTimer(key);
+        _startStaleTimer(key);
+        _setReported(locationDict);
+        _fireCallbacksForKey("key_entered", key, locationDict.location, locationDict.distanceFromCenter, locationDict.data);
       }
     }
 
@@ -394,40 +1386,99 @@ var GeoQuery = function (firebase, firebaseDst, queryCriteria) {
     _listenForNewGeohashes();
   };
 
+  /**
+   * Moves the center of this circular query along with a stream of device positions.
+   *
+   * The center only moves once the position is further away from it than the followThreshold query option, as a
+   * fraction of the radius, or once the followInterval query option has passed since the center last moved. Smaller
+   * moves are held back until then and the latest position is used. The geohash ranges this query already listens to
+   * are kept for a while after the center moves away from them, so following a device back and forth does not
+   * attach and remove the same listeners again.
+   *
+   * @param {Array.<number>} location The [latitude, longitude] pair of the device.
+   */
+  this.updatePosition = function(location) {
+    _assertNotCancelled("updatePosition");
+    validateLocation(location);
+    if (_radius === null) {
+      throw new Error("updatePosition() can only be called on a query with a center and a radius");
+    }
+    _followPosition = location;
+
+    if (calculateDistance(_center, location, _units, _ellipsoidal) > _followThreshold*_radius) {
+      _applyFollowPosition();
+    } else if (_followInterval !== null && _followTimeout === null) {
+      _followTimeout = setTimeout(_applyFollowPosition, Math.max(_followUpdatedAt + _followInterval - Date.now(), 0));
+    }
+  };
+
   /**
    * Attaches a callback to this query which will be run when the provided eventType fires. Valid eventType
-   * values are "ready", "key_entered", "key_exited", and "key_moved". The ready event callback is passed no
-   * parameters. All other callbacks will be passed three parameters: (1) the location's key, (2) the location's
-   * [latitude, longitude] pair, and (3) the distance, in kilometers, from the location to this query's center
+   * values are "ready", "key_entered", "key_exited", "key_moved", and "key_changed". The ready event callback is
+   * passed no parameters. All other callbacks will be passed four parameters: (1) the location's key, (2) the
+   * location's [latitude, longitude] pair, (3) the distance, in the units of this query, from the location to this
+   * query's center, and (4) the payload stored with the location, or null if it has none
    *
    * "ready" is used to signify that this query has loaded its initial state and is up-to-date with its corresponding
    * GeoFire instance. "ready" fires when this query has loaded all of the initial data from GeoFire and fired all
-   * other events for that data. It also fires every time updateQuery() is called, after all other events have
+   * other events for that data. It also fires every time updateCriteria() is called, after all other events have
    * fired for the updated query.
    *
    * "key_entered" fires when a key enters this query. This can happen when a key moves from a location outside of
    * this query to one inside of it or when a key is written to GeoFire for the first time and it falls within
    * this query.
    *
-   * "key_exited" fires when a key moves from a location inside of this query to one outside of it. If the key was
-   * entirely removed from GeoFire, both the location and distance passed to the callback will be null.
+   * "key_exited" fires when a key moves from a location inside of this query to one outside of it, or when its
+   * location becomes older than the maxAge query option. If the key was entirely removed from GeoFire, the location,
+   * distance and payload passed to the callback will be null.
+   *
+   * "key_moved" fires when a key which is already in this query moves to another location inside of it, at least the
+   * moveThreshold query option away from the location last passed to its callbacks. It fires at most once per
+   * moveInterval query option for each key, the latest location of the key being passed at the end of the interval.
+   *
+   * "key_changed" fires when only the payload of a key which is already in this query changes.
+   *
+   * "key_dwelled" fires when a key has stayed within this query for the dwellTime query option, without exiting it.
+   * Its callbacks can only be attached to queries with a dwellTime.
    *
-   * "key_moved" fires when a key which is already in this query moves to another location inside of it.
+   * "changes" fires once per changesWindow query option, or once per tick without one, with the keys which have
+   * entered, exited and moved within this query during that time, as { entered, exited, moved } arrays of
+   * { key, location, distance, data } objects. A key which enters and exits within the same window is left out, and
+   * a key which exits and enters again is reported as moved, unless it ends the window where it started it. Its
+   * callbacks are passed this single object, and new callbacks are first passed every key already within this query
+   * as entered.
+   *
+   * "clusters_changed" fires every time keys entering, exiting and moving within this query change the clusters of
+   * the cluster query option, with the clusters which changed as an { updated, removed } object: the updated
+   * clusters, as returned by clusters(), and the geohashes of the clusters which no longer have any key. Its
+   * callbacks can only be attached to queries with a cluster option, and new callbacks are first passed every
+   * cluster as updated.
+   *
+   * "density_changed" fires every time keys entering, exiting and moving within this query change the counts of the
+   * density cells of the density query option, with the cells which changed as an array of { geohash, count, bounds }
+   * objects. A cell left without keys is passed once with a count of 0. Its callbacks can only be attached to queries
+   * with a density option, and new callbacks are first passed every cell.
+   *
+   * "error" fires when the Firebase listeners or the initial data of a part of this query fail to load, or when
+   * its listeners fail later on, with the error. That part is no longer listened to until the criteria of this query
+   * are updated, the keys it reported exit this query, and "ready" still fires once every other part has loaded. It also fires when the location of a key
+   * which left a part of this query fails to load, the key being kept until its next update.
    *
    * Returns a GeoCallbackRegistration which can be used to cancel the callback. You can add as many callbacks
    * as you would like for the same eventType by repeatedly calling on(). Each one will get called when its
    * corresponding eventType fires. Each callback must be cancelled individually.
    *
    * @param {string} eventType The event type for which to attach the callback. One of "ready", "key_entered",
-   * "key_exited", or "key_moved".
+   * "key_exited", "key_moved", "key_changed", "key_dwelled", "changes", "clusters_changed", "density_changed", or
+   * "error".
    * @callback callback Callback function to be called when an event of type eventType fires.
    * @return {GeoCallbackRegistration} A callback registration which can be used to cancel the provided callback.
    */
   this.on = function(eventType, callback) {
+    _assertNotCancelled("on");
+
     // Validate the inputs
-    if (["key_entered", "key_exited", "key_moved"].indexOf(eventType) === -1) {
-      throw new Error("event type must be \"key_entered\", \"key_exited\", or \"key_moved\"");
-    }
+    validateQueryEventType(eventType, queryOptions);
     if (typeof callback !== "function") {
       throw new Error("callback must be a function");
     }
@@ -435,15 +1486,42 @@ var GeoQuery = function (firebase, firebaseDst, queryCriteria) {
     // Add the callback to this query's callbacks list
     _callbacks[eventType].push(callback);
 
-    // If this is a "key_entered" callback, fire it for every location already within this query
-    if (eventType === "key_entered") {
+    // If this is a "ready" callback, fire it if this query is already ready
+    if (eventType === "ready") {
+      if (_valueEventFired) {
+        callback();
+      }
+    }
+
+    // If this is a "changes" callback, pass it the keys already within this query with the next changes
+    if (eventType === "changes") {
+      _newChangesCallbacks.push(callback);
+      _scheduleChanges();
+    }
+
+    // If this is a "clusters_changed" callback, pass it the current clusters right away
+    if (eventType === "clusters_changed" && Object.keys(_clusters).length !== 0) {
+      callback({
+        updated: this.clusters(),
+        removed: []
+      });
+    }
+
+    // If this is a "density_changed" callback, pass it the current density cells right away
+    if (eventType === "density_changed" && Object.keys(_densityCounts).length !== 0) {
+      callback(this.density());
+    }
+
+    // If this is a "key_entered" callback, fire it for every location already within this query, and if this is a
+    // "key_dwelled" callback, for every location which has already dwelled within this query
+    if (eventType === "key_entered" || eventType === "key_dwelled") {
       var keys = Object.keys(_locationsTracked);
       var numKeys = keys.length;
       for (var i = 0; i < numKeys; ++i) {
         var key = keys[i];
         var locationDict = _locationsTracked[key];
-        if (typeof locationDict !== "undefined" && locationDict.isInQuery) {
-          callback(key, locationDict.location, locationDict.distanceFromCenter);
+        if (typeof locationDict !== "undefined" && locationDict.isInQuery && (eventType === "key_entered" || locationDict.dwelled)) {
+          callback(key, locationDict.location, locationDict.distanceFromCenter, locationDict.data);
         }
       }
     }
@@ -456,36 +1534,216 @@ var GeoQuery = function (firebase, firebaseDst, queryCriteria) {
   };
 
   /**
-   * TODO
+   * Returns an async iterator over the events of this query, usable with for await...of. Each event is a
+   * { type, key, location, distance, data } object, where type is the event type and the other attributes are the
+   * parameters passed to on() callbacks, or null. Events are buffered until they are consumed.
+   *
+   * The iterator attaches its callbacks right away and cancels them when the consumer stops iterating. It completes
+   * once this query is cancelled and its buffered events are consumed.
+   *
+   * @param {Array.<string>=} eventTypes The event types to iterate over. Defaults to "key_entered", "key_exited",
+   * "key_moved" and "key_changed".
+   * @return {Object} The async iterator.
+   */
+  this.events = function(eventTypes) {
+    _assertNotCancelled("events");
+    eventTypes = _streamEventTypes(eventTypes);
+
+    var bufferedEvents = [];
+    var pendingResolves = [];
+    var done = false;
+    var stream = _openStream(eventTypes, function(event) {
+      if (pendingResolves.length !== 0) {
+        pendingResolves.shift()({ value: event, done: false });
+      } else {
+        bufferedEvents.push(event);
+      }
+    }, function() {
+      done = true;
+      pendingResolves.forEach(function(resolve) {
+        resolve({ value: undefined, done: true });
+      });
+      pendingResolves = [];
+    });
+
+    var iterator = {
+      next: function() {
+        if (bufferedEvents.length !== 0) {
+          return Promise.resolve({ value: bufferedEvents.shift(), done: false });
+        } else if (done) {
+          return Promise.resolve({ value: undefined, done: true });
+        }
+        return new Promise(function(resolve) {
+          pendingResolves.push(resolve);
+        });
+      },
+      "return": function() {
+        stream.close();
+        stream.onEnd();
+        bufferedEvents = [];
+        return Promise.resolve({ value: undefined, done: true });
+      }
+    };
+    if (typeof Symbol === "function" && Symbol.asyncIterator) {
+      iterator[Symbol.asyncIterator] = function() {
+        return iterator;
+      };
+    }
+    return iterator;
+  };
+
+  /**
+   * Subscribes an observer to the "key_entered", "key_exited", "key_moved" and "key_changed" events of this query,
+   * following the Observable proposal so that this query can be passed to libraries such as RxJS. The observer's
+   * next() method is passed each event as a { type, key, location, distance, data } object, like the events of
+   * events(), its error() method is passed the first "error" event of this query, which ends the subscription, and its
+   * complete() method is called when this query is cancelled.
+   *
+   * @param {Object|function(Object)} observerOrNext The observer, as { next, error, complete }, or its next() method.
+   * @param {function(*)=} error The error() method of the observer, if a next() method is passed.
+   * @param {function()=} complete The complete() method of the observer, if a next() method is passed.
+   * @return {Object} The subscription, whose unsubscribe() method cancels the callbacks of the observer.
+   */
+  this.subscribe = function(observerOrNext, error, complete) {
+    _assertNotCancelled("subscribe");
+    var observer = observerOrNext;
+    if (typeof observerOrNext === "function") {
+      observer = {
+        next: observerOrNext,
+        error: error,
+        complete: complete
+      };
+    } else if (observerOrNext === null || typeof observerOrNext !== "object") {
+      throw new Error("observer must be an object or a function");
+    }
+
+    var stream = null;
+    var subscription = {
+      closed: false,
+      unsubscribe: function() {
+        subscription.closed = true;
+        if (stream !== null) {
+          stream.close();
+        }
+      }
+    };
+    stream = _openStream(_streamEventTypes(), function(event) {
+      if (typeof observer.next === "function") {
+        observer.next(event);
+      }
+    }, function() {
+      subscription.closed = true;
+      if (typeof observer.complete === "function") {
+        observer.complete();
+      }
+    });
+    if (!stream.closed) {
+      stream.registrations.push(self.on("error", function(queryError) {
+        if (!subscription.closed) {
+          subscription.closed = true;
+          stream.close();
+          if (typeof observer.error === "function") {
+            observer.error(queryError);
+          }
+        }
+      }));
+    }
+    if (subscription.closed) {
+      // The observer unsubscribed while the events of the keys already within this query were passed to it
+      stream.close();
+    }
+    return subscription;
+  };
+
+  /**
+   * Returns this query, which is its own Observable, for interoperability with Observable libraries.
+   *
+   * @return {GeoQuery} This query.
+   */
+  this["@@observable"] = function() {
+    return self;
+  };
+  if (typeof Symbol === "function" && Symbol.observable) {
+    this[Symbol.observable] = this["@@observable"];
+  }
+
+  /**
    * Terminates this query so that it no longer sends location updates. All callbacks attached to this
    * query via on() will be cancelled. This query can no longer be used in the future.
    */
-  /*
   this.cancel = function () {
+    if (_cancelled) {
+      return;
+    }
+    _cancelled = true;
+
+    // End the event streams of this query
+    _streams.slice().forEach(function(stream) {
+      stream.close();
+      stream.onEnd();
+    });
+
     // Cancel all callbacks in this query's callback list
     _callbacks = {
+      ready: [],
       key_entered: [],
       key_exited: [],
-      key_moved: []
+      key_moved: [],
+      key_changed: [],
+      key_dwelled: [],
+      changes: [],
+      clusters_changed: [],
+      density_changed: [],
+      error: []
     };
 
+    // Stop following the device positions
+    if (_followTimeout !== null) {
+      clearTimeout(_followTimeout);
+      _followTimeout = null;
+    }
+
+    // Drop the clusters and the density cells
+    _clusters = {};
+    _clusterOfKey = {};
+    _densityCounts = {};
+    _densityCellOfKey = {};
+
+    // Drop the pending changes
+    if (_changesTimeout !== null) {
+      clearTimeout(_changesTimeout);
+      _changesTimeout = null;
+    }
+    _pendingChanges = {};
+    _newChangesCallbacks = [];
+    _reportedLocations = {};
+
     // Turn off all Firebase listeners for the current geohashes being queried
     var keys = Object.keys(_currentGeohashesQueried);
     var numKeys = keys.length;
     for (var i = 0; i < numKeys; ++i) {
       var geohashQueryStr = keys[i];
-      var query = _stringToQuery(geohashQueryStr);
-      _cancelGeohashQuery(query, _currentGeohashesQueried[geohashQueryStr]);
+      _cancelGeohashQuery(_currentGeohashesQueried[geohashQueryStr]);
       delete _currentGeohashesQueried[geohashQueryStr];
     }
 
-    // Delete any stored locations
+    // Stop the dwell, exit, stale and move timers and delete any stored locations
+    Object.keys(_locationsTracked).forEach(function(key) {
+      _clearDwellTimer(_locationsTracked[key]);
+      _clearExitTimer(_locationsTracked[key]);
+      _clearStaleTimer(_locationsTracked[key]);
+      _clearMoveTimer(_locationsTracked[key]);
+    });
     _locationsTracked = {};
 
-    // Turn off the current geohashes queried clean up interval
-    clearInterval(_cleanUpCurrentGeohashesQueriedInterval);
+    // Turn off the current geohashes queried clean up interval and any pending clean up
+    _stopCleanUpCurrentGeohashesQueried();
+    if (_cleanUpCurrentGeohashesQueriedTimeout !== null) {
+      clearTimeout(_cleanUpCurrentGeohashesQueriedTimeout);
+      _cleanUpCurrentGeohashesQueriedTimeout = null;
+    }
+    _geohashCleanupScheduled = false;
   };
-*/
 
   /*****************/
   /*  CONSTRUCTOR  */
@@ -494,15 +1752,79 @@ var GeoQuery = function (firebase, firebaseDst, queryCriteria) {
   if (typeof firebaseDst !== "string") {
     throw new Error("firebaseDst must be a string");
   }
-  
+
+  // Validate the query criteria before any timer is started
+  validateCriteria(queryCriteria, /* requireCenterAndRadius */ true);
+
+  // The storage layout of the locations
+  storage = storage || g_DEFAULT_STORAGE;
+
+  // The listeners of this query are shared through a listener pool
+  var _pool = (adapter instanceof GeoListenerPool) ? adapter : new GeoListenerPool(adapter);
+
+  // Validate and save the query options
+  queryOptions = queryOptions || {};
+  validateQueryOptions(queryOptions);
+  var _dwellTime = (typeof queryOptions.dwellTime !== "undefined") ? queryOptions.dwellTime : null;
+  var _exitBuffer = (typeof queryOptions.exitBuffer !== "undefined") ? queryOptions.exitBuffer : null;
+  var _exitDelay = (typeof queryOptions.exitDelay !== "undefined") ? queryOptions.exitDelay : null;
+  var _maxAge = (typeof queryOptions.maxAge !== "undefined") ? queryOptions.maxAge : null;
+  var _moveThreshold = (typeof queryOptions.moveThreshold !== "undefined") ? queryOptions.moveThreshold : null;
+  var _moveInterval = (typeof queryOptions.moveInterval !== "undefined") ? queryOptions.moveInterval : null;
+  var _changesWindow = (typeof queryOptions.changesWindow !== "undefined") ? queryOptions.changesWindow : 0;
+  var _clusterPrecision = (typeof queryOptions.cluster !== "undefined") ? queryOptions.cluster : null;
+  var _densityPrecision = (typeof queryOptions.density !== "undefined") ? queryOptions.density : null;
+  var _followThreshold = (typeof queryOptions.followThreshold !== "undefined") ? queryOptions.followThreshold : 0;
+  var _followInterval = (typeof queryOptions.followInterval !== "undefined") ? queryOptions.followInterval : null;
 
   // Event callbacks
   var _callbacks = {
+    ready: [],
     key_entered: [],
     key_exited: [],
-    key_moved: []
+    key_moved: [],
+    key_changed: [],
+    key_dwelled: [],
+    changes: [],
+    clusters_changed: [],
+    density_changed: [],
+    error: []
   };
 
+  // The clusters maintained for the cluster query option, as mappings of their keys to their locations by geohash
+  // prefix, and the geohash prefix of the cluster of each key
+  var _clusters = {};
+  var _clusterOfKey = {};
+
+  // The number of keys in each density cell maintained for the density query option, and the cell of each key
+  var _densityCounts = {};
+  var _densityCellOfKey = {};
+
+  // The latest device position passed to updatePosition(), the time the center last moved to follow it and the
+  // timer moving the center to a held back position
+  var self = this;
+  var _followPosition = null;
+  var _followUpdatedAt = Date.now();
+  var _followTimeout = null;
+
+  // The open event streams of events() and subscribe()
+  var _streams = [];
+
+  // The changes of the current "changes" window by key, the "changes" callbacks which have not been called yet and
+  // the timer firing the next "changes" event
+  var _pendingChanges = {};
+  var _newChangesCallbacks = [];
+  var _changesTimeout = null;
+
+  // The location last passed to the "key_entered" and "key_moved" callbacks of every key within this query
+  var _reportedLocations = {};
+
+  // Variables used to keep track of when to fire the "ready" event
+  var _valueEventFired = false;
+  var _outstandingGeohashReadyEvents = [];
+
+  // Whether or not this query has been cancelled
+  var _cancelled = false;
 
   // A dictionary of locations that are currently active in the queries
   // Note that not all of these are currently within this query
@@ -516,16 +1838,15 @@ var GeoQuery = function (firebase, firebaseDst, queryCriteria) {
   // move outside of the query's bounding box.
   var _geohashCleanupScheduled = false;
   var _cleanUpCurrentGeohashesQueriedTimeout = null;
-  var _cleanUpCurrentGeohashesQueriedInterval = setInterval(function() {
-      if (_geohashCleanupScheduled === false) {
-        _cleanUpCurrentGeohashesQueried();
-      }
-    }, 10000);
+  var _stopCleanUpCurrentGeohashesQueried = _pool.onCleanup(function() {
+    if (_geohashCleanupScheduled === false) {
+      _cleanUpCurrentGeohashesQueried();
+    }
+  });
 
-  // Validate and save the query criteria
-  validateCriteria(queryCriteria, /* requireCenterAndRadius */ true);
-  var _center = queryCriteria.center;
-  var _radius = queryCriteria.radius;
+  // Save the query criteria
+  var _center, _radius, _bounds, _polygon, _filter, _where, _units, _ellipsoidal;
+  _saveCriteria(queryCriteria);
 
   // Listen for new geohashes being added around this query and fire the appropriate events
   _listenForNewGeohashes();
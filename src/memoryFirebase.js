@@ -0,0 +1,439 @@
+/**
+ * Creates a MemoryFirebase instance.
+ *
+ * An in-memory stand-in for the parts of nativescript-plugin-firebase which GeoFire uses: update(), query() and
+ * removeEventListeners(). It can be passed to the GeoFire constructor in place of the plugin to run GeoFire in
+ * unit tests, demos or offline, without a device or a Firebase project.
+ *
+ * Writes are applied synchronously and the "ChildAdded", "ChildChanged" and "ChildRemoved" events they cause are
+ * fired before the returned promise is fulfilled, like local writes in Firebase.
+ *
+ * @constructor
+ * @this {MemoryFirebase}
+ * @param {Object=} initialData The data the database starts with.
+ */
+var MemoryFirebase = function(initialData) {
+  /*********************/
+  /*  PRIVATE METHODS  */
+  /*********************/
+  /**
+   * Returns a deep copy of the provided value, so callers can never modify the stored data.
+   *
+   * @param {*} value The value to copy.
+   * @return {*} The copied value.
+   */
+  function _copy(value) {
+    return (typeof value === "undefined") ? null : JSON.parse(JSON.stringify(value));
+  }
+
+  /**
+   * Splits a path into its non-empty segments.
+   *
+   * @param {string} path The path to split.
+   * @return {Array.<string>} The segments of the path.
+   */
+  function _pathSegments(path) {
+    if (typeof path !== "string") {
+      throw new Error("path must be a string");
+    }
+    return path.split("/").filter(function(segment) {
+      return segment.length !== 0;
+    });
+  }
+
+  /**
+   * Removes null values and empty objects from the provided value and resolves server timestamp placeholders to the
+   * current time, like Firebase does when storing data.
+   *
+   * @param {*} value The value to normalize.
+   * @return {*} The normalized value, or null if nothing is left of it.
+   */
+  function _normalize(value) {
+    if (value === null || typeof value === "undefined") {
+      return null;
+    }
+    if (isServerTimestamp(value)) {
+      return Date.now();
+    }
+    if (typeof value !== "object") {
+      return value;
+    }
+    if (Array.isArray(value)) {
+      // Keep arrays, such as the [latitude, longitude] pairs, as arrays like Firebase returns them
+      var normalizedArray = value.map(_normalize);
+      return normalizedArray.some(function(element) { return element !== null; }) ? normalizedArray : null;
+    }
+    var normalized = {};
+    var isEmpty = true;
+    Object.keys(value).forEach(function(key) {
+      var childValue = _normalize(value[key]);
+      if (childValue !== null) {
+        normalized[key] = childValue;
+        isEmpty = false;
+      }
+    });
+    return isEmpty ? null : normalized;
+  }
+
+  /**
+   * Returns the value stored at the provided path.
+   *
+   * @param {Array.<string>} segments The segments of the path.
+   * @return {*} The stored value, or null if there is none.
+   */
+  function _getValue(segments) {
+    var node = _data;
+    for (var i = 0; i < segments.length; ++i) {
+      if (node === null || typeof node !== "object" || !node.hasOwnProperty(segments[i])) {
+        return null;
+      }
+      node = node[segments[i]];
+    }
+    return node;
+  }
+
+  /**
+   * Replaces the value stored at the provided path. Setting a value to null removes it.
+   *
+   * @param {Array.<string>} segments The segments of the path.
+   * @param {*} value The value to store.
+   */
+  function _setValue(segments, value) {
+    var setIn = function(node, index) {
+      if (index === segments.length) {
+        return _normalize(value);
+      }
+      var children = (node !== null && typeof node === "object") ? node : {};
+      var childValue = setIn(children.hasOwnProperty(segments[index]) ? children[segments[index]] : null, index + 1);
+      if (childValue === null) {
+        delete children[segments[index]];
+      } else {
+        children[segments[index]] = childValue;
+      }
+      return (Object.keys(children).length === 0) ? null : children;
+    };
+    _data = setIn(_data, 0);
+  }
+
+  /**
+   * Returns the rank of a value's type in the Firebase sort order: null, false, true, numbers, strings, objects.
+   *
+   * @param {*} value The value to rank.
+   * @return {number} The rank of the value's type.
+   */
+  function _typeRank(value) {
+    if (value === null) {
+      return 0;
+    } else if (value === false) {
+      return 1;
+    } else if (value === true) {
+      return 2;
+    } else if (typeof value === "number") {
+      return 3;
+    } else if (typeof value === "string") {
+      return 4;
+    }
+    return 5;
+  }
+
+  /**
+   * Compares two values using the Firebase sort order.
+   *
+   * @param {*} value1 The first value.
+   * @param {*} value2 The second value.
+   * @return {number} A negative number, zero or a positive number if value1 sorts before, with or after value2.
+   */
+  function _compareValues(value1, value2) {
+    var rankDifference = _typeRank(value1) - _typeRank(value2);
+    if (rankDifference !== 0) {
+      return rankDifference;
+    }
+    if (typeof value1 === "number" || typeof value1 === "string") {
+      return (value1 < value2) ? -1 : ((value1 > value2) ? 1 : 0);
+    }
+    return 0;
+  }
+
+  /**
+   * Returns the value a child is ordered by for the provided query options.
+   *
+   * @param {string} key The key of the child.
+   * @param {*} value The value of the child.
+   * @param {Object} options The query options.
+   * @return {*} The value the child is ordered by.
+   */
+  function _orderValue(key, value, options) {
+    var orderBy = options.orderBy || { type: self.QueryOrderByType.KEY };
+    switch (orderBy.type) {
+      case self.QueryOrderByType.KEY:
+        return key;
+      case self.QueryOrderByType.VALUE:
+        return (typeof value === "object") ? null : value;
+      case self.QueryOrderByType.PRIORITY:
+        return (value !== null && typeof value === "object" && value.hasOwnProperty(".priority")) ? value[".priority"] : null;
+      case self.QueryOrderByType.CHILD:
+        var childValue = _getValueIn(value, _pathSegments(orderBy.value));
+        return (typeof childValue === "object") ? null : childValue;
+      default:
+        throw new Error("Unsupported orderBy type: " + orderBy.type);
+    }
+  }
+
+  /**
+   * Returns the value stored at the provided path inside of another value.
+   *
+   * @param {*} value The value to look into.
+   * @param {Array.<string>} segments The segments of the path.
+   * @return {*} The value stored at the path, or null if there is none.
+   */
+  function _getValueIn(value, segments) {
+    for (var i = 0; i < segments.length; ++i) {
+      if (value === null || typeof value !== "object" || !value.hasOwnProperty(segments[i])) {
+        return null;
+      }
+      value = value[segments[i]];
+    }
+    return value;
+  }
+
+  /**
+   * Returns the children at the provided path which match the provided query options, in query order.
+   *
+   * @param {Array.<string>} segments The segments of the path.
+   * @param {Object} options The query options.
+   * @return {Array.<Object>} The matching children as { key, value } pairs.
+   */
+  function _queryChildren(segments, options) {
+    var node = _getValue(segments);
+    if (node === null || typeof node !== "object") {
+      return [];
+    }
+
+    var ranges = (options.ranges || []).concat(options.range ? [options.range] : []);
+    var children = Object.keys(node).filter(function(key) {
+      return key !== ".priority";
+    }).map(function(key) {
+      return {
+        key: key,
+        value: node[key],
+        orderValue: _orderValue(key, node[key], options)
+      };
+    }).filter(function(child) {
+      return ranges.every(function(range) {
+        var comparison = _compareValues(child.orderValue, range.value);
+        switch (range.type) {
+          case self.QueryRangeType.START_AT:
+            return comparison >= 0;
+          case self.QueryRangeType.END_AT:
+            return comparison <= 0;
+          case self.QueryRangeType.EQUAL_TO:
+            return comparison === 0;
+          default:
+            throw new Error("Unsupported range type: " + range.type);
+        }
+      });
+    });
+
+    children.sort(function(child1, child2) {
+      return _compareValues(child1.orderValue, child2.orderValue) || _compareValues(child1.key, child2.key);
+    });
+
+    if (options.limit) {
+      if (options.limit.type === self.QueryLimitType.FIRST) {
+        children = children.slice(0, options.limit.value);
+      } else if (options.limit.type === self.QueryLimitType.LAST) {
+        children = children.slice(Math.max(0, children.length - options.limit.value));
+      } else {
+        throw new Error("Unsupported limit type: " + options.limit.type);
+      }
+    }
+
+    return children.map(function(child) {
+      return {
+        key: child.key,
+        value: child.value
+      };
+    });
+  }
+
+  /**
+   * Returns the children a listener currently matches as a mapping from key to serialized value.
+   *
+   * @param {Object} listener The listener.
+   * @return {Object} The serialized values of the matching children, by key.
+   */
+  function _listenerSnapshot(listener) {
+    var snapshot = {};
+    _queryChildren(listener.segments, listener.options).forEach(function(child) {
+      snapshot[child.key] = JSON.stringify(child.value);
+    });
+    return snapshot;
+  }
+
+  /**
+   * Fires the child events which a write caused for every listener.
+   *
+   * @param {Array.<Object>} listeners The listeners which were active before the write.
+   * @param {Array.<Object>} snapshotsBefore The snapshot of each listener taken before the write.
+   */
+  function _fireChildEvents(listeners, snapshotsBefore) {
+    listeners.forEach(function(listener, index) {
+      if (!_listeners.hasOwnProperty(listener.id)) {
+        // The listener was removed by a callback of a previous listener
+        return;
+      }
+      var before = snapshotsBefore[index];
+      var after = _listenerSnapshot(listener);
+      Object.keys(before).forEach(function(key) {
+        if (!after.hasOwnProperty(key)) {
+          listener.callback({ type: "ChildRemoved", key: key, value: JSON.parse(before[key]) });
+        }
+      });
+      Object.keys(after).forEach(function(key) {
+        if (!before.hasOwnProperty(key)) {
+          listener.callback({ type: "ChildAdded", key: key, value: JSON.parse(after[key]) });
+        } else if (before[key] !== after[key]) {
+          listener.callback({ type: "ChildChanged", key: key, value: JSON.parse(after[key]) });
+        }
+      });
+    });
+  }
+
+  /********************/
+  /*  PUBLIC METHODS  */
+  /********************/
+  /**
+   * Updates the children of the provided path. Each key of data is a child path relative to path, setting its
+   * value to null removes it.
+   *
+   * @param {string} path The path to update.
+   * @param {Object} data A mapping of child paths to their new values.
+   * @return {Promise.<>} A promise that is fulfilled when the write is complete.
+   */
+  this.update = function(path, data) {
+    try {
+      var segments = _pathSegments(path);
+      if (data === null || typeof data !== "object" || Array.isArray(data)) {
+        throw new Error("data must be an object");
+      }
+
+      var listeners = Object.keys(_listeners).map(function(id) {
+        return _listeners[id];
+      });
+      var snapshotsBefore = listeners.map(_listenerSnapshot);
+
+      Object.keys(data).forEach(function(childPath) {
+        _setValue(segments.concat(_pathSegments(childPath)), _copy(data[childPath]));
+      });
+
+      _fireChildEvents(listeners, snapshotsBefore);
+      return Promise.resolve();
+    } catch (error) {
+      return Promise.reject(error);
+    }
+  };
+
+  /**
+   * Queries the children of the provided path, either once or continuously.
+   *
+   * Supports the orderBy, range, ranges and limit options of nativescript-plugin-firebase. With singleEvent set to
+   * true, the returned promise is fulfilled with a "ValueChanged" result holding the matching children. Otherwise,
+   * onQueryEvent is called with a "ChildAdded" result for every matching child and then with "ChildAdded",
+   * "ChildChanged" and "ChildRemoved" results as the data changes, and the returned promise is fulfilled with the
+   * { path, listeners } to pass to removeEventListeners().
+   *
+   * @param {function(Object)} onQueryEvent Callback receiving the query results.
+   * @param {string} path The path to query.
+   * @param {Object} options The query options.
+   * @return {Promise.<Object>} A promise that is fulfilled with the result of the query.
+   */
+  this.query = function(onQueryEvent, path, options) {
+    try {
+      var segments = _pathSegments(path);
+      if (typeof onQueryEvent !== "function") {
+        throw new Error("onQueryEvent must be a function");
+      }
+      options = options || {};
+
+      if (options.singleEvent) {
+        var node = _getValue(segments);
+        var value = null;
+        if (node !== null && typeof node === "object") {
+          _queryChildren(segments, options).forEach(function(child) {
+            value = value || {};
+            value[child.key] = child.value;
+          });
+        } else {
+          value = node;
+        }
+        var result = {
+          type: "ValueChanged",
+          key: (segments.length === 0) ? null : segments[segments.length - 1],
+          value: _copy(value)
+        };
+        onQueryEvent(result);
+        return Promise.resolve(result);
+      }
+
+      var listener = {
+        id: String(++_lastListenerId),
+        segments: segments,
+        options: options,
+        callback: onQueryEvent
+      };
+      _listeners[listener.id] = listener;
+      _queryChildren(segments, options).forEach(function(child) {
+        onQueryEvent({ type: "ChildAdded", key: child.key, value: _copy(child.value) });
+      });
+      return Promise.resolve({
+        path: path,
+        listeners: [listener.id]
+      });
+    } catch (error) {
+      return Promise.reject(error);
+    }
+  };
+
+  /**
+   * Removes listeners created by query().
+   *
+   * @param {Array.<string>} listeners The listeners to remove.
+   * @param {string} path The path the listeners were attached to.
+   * @return {Promise.<>} A promise that is fulfilled once the listeners are removed.
+   */
+  this.removeEventListeners = function(listeners, path) {
+    (listeners || []).forEach(function(id) {
+      if (_listeners.hasOwnProperty(id) && _listeners[id].segments.join("/") === _pathSegments(path).join("/")) {
+        delete _listeners[id];
+      }
+    });
+    return Promise.resolve();
+  };
+
+  /*****************/
+  /*  CONSTRUCTOR  */
+  /*****************/
+  var self = this;
+
+  // The query constants of nativescript-plugin-firebase
+  this.QueryOrderByType = {
+    KEY: "key",
+    VALUE: "value",
+    CHILD: "child",
+    PRIORITY: "priority"
+  };
+  this.QueryRangeType = {
+    START_AT: "startAt",
+    END_AT: "endAt",
+    EQUAL_TO: "equalTo"
+  };
+  this.QueryLimitType = {
+    FIRST: "first",
+    LAST: "last"
+  };
+
+  // The stored data and the active listeners, by id
+  var _data = _normalize(_copy(initialData));
+  var _listeners = {};
+  var _lastListenerId = 0;
+};
@@ -0,0 +1,406 @@
+// The placeholder which MemoryFirestore.FieldValue.serverTimestamp() returns
+var g_MEMORY_FIRESTORE_SERVER_TIMESTAMP = {};
+
+/**
+ * Creates a MemoryFirestore instance.
+ *
+ * An in-memory stand-in for the parts of the Cloud Firestore web API which the FirestoreAdapter uses:
+ * collection() and doc() references, document set() (with merge), get() and delete(), batch() writes and
+ * collection queries with orderBy(), startAt(), endAt(), get() and onSnapshot(). It can be passed to the
+ * GeoFire constructor in place of Firestore to test a Firestore-backed GeoFire index without a Firebase project.
+ *
+ * Writes are applied synchronously and the snapshot listeners they affect are called before the returned
+ * promise is fulfilled, like local writes in Firestore. Fields set to MemoryFirestore.FieldValue.serverTimestamp() are
+ * stored as the current time.
+ *
+ * @constructor
+ * @this {MemoryFirestore}
+ */
+var MemoryFirestore = function() {
+  /*********************/
+  /*  PRIVATE METHODS  */
+  /*********************/
+  /**
+   * Returns a deep copy of the provided fields, so callers can never modify the stored data.
+   *
+   * @param {Object} fields The fields to copy.
+   * @return {Object} The copied fields.
+   */
+  function _copy(fields) {
+    return JSON.parse(JSON.stringify(fields));
+  }
+
+  /**
+   * Returns a copy of the provided fields with the server timestamp placeholders resolved to the current time.
+   *
+   * @param {Object} fields The fields to resolve.
+   * @return {Object} The resolved fields.
+   */
+  function _resolve(fields) {
+    var resolved = {};
+    Object.keys(fields).forEach(function(field) {
+      resolved[field] = (fields[field] === g_MEMORY_FIRESTORE_SERVER_TIMESTAMP) ? Date.now() : fields[field];
+    });
+    return resolved;
+  }
+
+  /**
+   * Splits a path into its non-empty segments.
+   *
+   * @param {string} path The path to split.
+   * @return {Array.<string>} The segments of the path.
+   */
+  function _pathSegments(path) {
+    if (typeof path !== "string") {
+      throw new Error("path must be a string");
+    }
+    return path.split("/").filter(function(segment) {
+      return segment.length !== 0;
+    });
+  }
+
+  /**
+   * Returns the rank of a value's type in the Firestore sort order: null, booleans, numbers, strings, others.
+   *
+   * @param {*} value The value to rank.
+   * @return {number} The rank of the value's type.
+   */
+  function _typeRank(value) {
+    if (value === null) {
+      return 0;
+    } else if (typeof value === "boolean") {
+      return 1;
+    } else if (typeof value === "number") {
+      return 2;
+    } else if (typeof value === "string") {
+      return 3;
+    }
+    return 4;
+  }
+
+  /**
+   * Compares two values using the Firestore sort order.
+   *
+   * @param {*} value1 The first value.
+   * @param {*} value2 The second value.
+   * @return {number} A negative number, zero or a positive number if value1 sorts before, with or after value2.
+   */
+  function _compareValues(value1, value2) {
+    var rankDifference = _typeRank(value1) - _typeRank(value2);
+    if (rankDifference !== 0) {
+      return rankDifference;
+    }
+    return (value1 < value2) ? -1 : ((value1 > value2) ? 1 : 0);
+  }
+
+  /**
+   * Creates a document snapshot.
+   *
+   * @param {string} path The path of the document.
+   * @return {Object} The document snapshot.
+   */
+  function _documentSnapshot(path) {
+    var segments = _pathSegments(path);
+    var fields = _documents.hasOwnProperty(path) ? _copy(_documents[path]) : null;
+    return {
+      id: segments[segments.length - 1],
+      ref: self.doc(path),
+      exists: fields !== null,
+      data: function() {
+        return (fields === null) ? undefined : _copy(fields);
+      }
+    };
+  }
+
+  /**
+   * Returns the paths of the documents a query matches, in query order.
+   *
+   * @param {Object} query The query description.
+   * @return {Array.<string>} The paths of the matching documents.
+   */
+  function _queryDocuments(query) {
+    var paths = Object.keys(_documents).filter(function(path) {
+      var segments = _pathSegments(path);
+      if (segments.slice(0, -1).join("/") !== query.collectionPath) {
+        return false;
+      }
+      if (query.orderBy === null) {
+        return true;
+      }
+      var fields = _documents[path];
+      if (!fields.hasOwnProperty(query.orderBy)) {
+        // Documents without the ordered field are never part of the results
+        return false;
+      }
+      var value = fields[query.orderBy];
+      return (query.startAt === null || _compareValues(value, query.startAt) >= 0) &&
+             (query.endAt === null || _compareValues(value, query.endAt) <= 0);
+    });
+
+    paths.sort(function(path1, path2) {
+      if (query.orderBy !== null) {
+        var comparison = _compareValues(_documents[path1][query.orderBy], _documents[path2][query.orderBy]);
+        if (comparison !== 0) {
+          return comparison;
+        }
+      }
+      return _compareValues(path1, path2);
+    });
+    return paths;
+  }
+
+  /**
+   * Creates a query snapshot.
+   *
+   * @param {Array.<string>} paths The paths of the documents in the snapshot.
+   * @param {Array.<Object>} changes The changes since the previous snapshot.
+   * @return {Object} The query snapshot.
+   */
+  function _querySnapshot(paths, changes) {
+    var docs = paths.map(_documentSnapshot);
+    return {
+      docs: docs,
+      empty: docs.length === 0,
+      size: docs.length,
+      forEach: function(callback) {
+        docs.forEach(callback);
+      },
+      docChanges: function() {
+        return changes;
+      }
+    };
+  }
+
+  /**
+   * Creates a query on a collection.
+   *
+   * @param {Object} query The query description.
+   * @return {Object} The query.
+   */
+  function _query(query) {
+    var withChanges = function(changes) {
+      var newQuery = {
+        collectionPath: query.collectionPath,
+        orderBy: query.orderBy,
+        startAt: query.startAt,
+        endAt: query.endAt
+      };
+      Object.keys(changes).forEach(function(attribute) {
+        newQuery[attribute] = changes[attribute];
+      });
+      return _query(newQuery);
+    };
+
+    return {
+      orderBy: function(field) {
+        if (query.orderBy !== null) {
+          throw new Error("MemoryFirestore only supports a single orderBy()");
+        }
+        return withChanges({ orderBy: field });
+      },
+      startAt: function(value) {
+        return withChanges({ startAt: value });
+      },
+      endAt: function(value) {
+        return withChanges({ endAt: value });
+      },
+      get: function() {
+        return Promise.resolve(_querySnapshot(_queryDocuments(query), []));
+      },
+      onSnapshot: function(onNext) {
+        var listener = {
+          query: query,
+          onNext: onNext,
+          snapshot: {}
+        };
+        _listeners.push(listener);
+        _notifyListener(listener);
+        return function() {
+          var index = _listeners.indexOf(listener);
+          if (index !== -1) {
+            _listeners.splice(index, 1);
+          }
+        };
+      }
+    };
+  }
+
+  /**
+   * Calls a snapshot listener if the documents its query matches have changed.
+   *
+   * @param {Object} listener The snapshot listener.
+   */
+  function _notifyListener(listener) {
+    var paths = _queryDocuments(listener.query);
+    var snapshot = {};
+    var changes = [];
+    Object.keys(listener.snapshot).forEach(function(path) {
+      if (paths.indexOf(path) === -1) {
+        changes.push({
+          type: "removed",
+          doc: {
+            id: _pathSegments(path).pop(),
+            ref: self.doc(path),
+            exists: true,
+            data: (function(fields) {
+              return function() {
+                return JSON.parse(fields);
+              };
+            })(listener.snapshot[path])
+          }
+        });
+      }
+    });
+    paths.forEach(function(path) {
+      snapshot[path] = JSON.stringify(_documents[path]);
+      if (!listener.snapshot.hasOwnProperty(path)) {
+        changes.push({ type: "added", doc: _documentSnapshot(path) });
+      } else if (listener.snapshot[path] !== snapshot[path]) {
+        changes.push({ type: "modified", doc: _documentSnapshot(path) });
+      }
+    });
+    var isFirstSnapshot = !listener.hasOwnProperty("notified");
+    listener.snapshot = snapshot;
+    listener.notified = true;
+    if (isFirstSnapshot || changes.length !== 0) {
+      listener.onNext(_querySnapshot(paths, changes));
+    }
+  }
+
+  /**
+   * Applies a list of writes and notifies the snapshot listeners.
+   *
+   * @param {Array.<Object>} writes The writes as { path, fields, merge } objects, null fields delete a document.
+   * @return {Promise.<>} A promise that is fulfilled when the writes are complete.
+   */
+  function _commit(writes) {
+    writes.forEach(function(write) {
+      if (write.fields === null) {
+        delete _documents[write.path];
+      } else if (write.merge && _documents.hasOwnProperty(write.path)) {
+        Object.keys(write.fields).forEach(function(field) {
+          _documents[write.path][field] = _copy(_resolve(write.fields))[field];
+        });
+      } else {
+        _documents[write.path] = _copy(_resolve(write.fields));
+      }
+    });
+    _listeners.slice().forEach(function(listener) {
+      if (_listeners.indexOf(listener) !== -1) {
+        _notifyListener(listener);
+      }
+    });
+    return Promise.resolve();
+  }
+
+  /**
+   * Returns the path of a document, validating that the provided path points to one.
+   *
+   * @param {string} path The path to validate.
+   * @return {string} The normalized path of the document.
+   */
+  function _documentPath(path) {
+    var segments = _pathSegments(path);
+    if (segments.length === 0 || segments.length % 2 !== 0) {
+      throw new Error("Invalid document path '" + path + "'");
+    }
+    return segments.join("/");
+  }
+
+  /********************/
+  /*  PUBLIC METHODS  */
+  /********************/
+  /**
+   * Returns a reference to the collection at the provided path.
+   *
+   * @param {string} path The path of the collection.
+   * @return {Object} The collection reference.
+   */
+  this.collection = function(path) {
+    var segments = _pathSegments(path);
+    if (segments.length % 2 !== 1) {
+      throw new Error("Invalid collection path '" + path + "'");
+    }
+    var collectionRef = _query({
+      collectionPath: segments.join("/"),
+      orderBy: null,
+      startAt: null,
+      endAt: null
+    });
+    collectionRef.id = segments[segments.length - 1];
+    collectionRef.path = segments.join("/");
+    collectionRef.doc = function(id) {
+      return self.doc(collectionRef.path + "/" + id);
+    };
+    return collectionRef;
+  };
+
+  /**
+   * Returns a reference to the document at the provided path.
+   *
+   * @param {string} path The path of the document.
+   * @return {Object} The document reference.
+   */
+  this.doc = function(path) {
+    var documentPath = _documentPath(path);
+    return {
+      id: _pathSegments(documentPath).pop(),
+      path: documentPath,
+      get: function() {
+        return Promise.resolve(_documentSnapshot(documentPath));
+      },
+      set: function(fields, options) {
+        return _commit([{ path: documentPath, fields: fields, merge: !!(options && options.merge) }]);
+      },
+      delete: function() {
+        return _commit([{ path: documentPath, fields: null }]);
+      }
+    };
+  };
+
+  /**
+   * Returns a write batch which applies its writes at once when committed.
+   *
+   * @return {Object} The write batch.
+   */
+  this.batch = function() {
+    var writes = [];
+    var batch = {
+      set: function(documentRef, fields, options) {
+        writes.push({ path: documentRef.path, fields: fields, merge: !!(options && options.merge) });
+        return batch;
+      },
+      delete: function(documentRef) {
+        writes.push({ path: documentRef.path, fields: null });
+        return batch;
+      },
+      commit: function() {
+        return _commit(writes);
+      }
+    };
+    return batch;
+  };
+
+  /*****************/
+  /*  CONSTRUCTOR  */
+  /*****************/
+  var self = this;
+
+  // The stored documents, by path, and the active snapshot listeners
+  var _documents = {};
+  var _listeners = [];
+};
+
+/**
+ * The placeholders of the fields MemoryFirestore resolves when writing, a stand-in for firebase.firestore.FieldValue.
+ */
+MemoryFirestore.FieldValue = {
+  /**
+   * Returns the placeholder of a field to be set to the time of the write.
+   *
+   * @return {Object} The server timestamp placeholder.
+   */
+  serverTimestamp: function() {
+    return g_MEMORY_FIRESTORE_SERVER_TIMESTAMP;
+  }
+};
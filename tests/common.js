@@ -0,0 +1,165 @@
+/**
+ * Helpers shared by the specs.
+ */
+var fs = require("fs");
+var path = require("path");
+var Module = require("module");
+
+/**
+ * Concatenates the build header, the source files and the build footer the way the "scripts" gulp task does, and
+ * loads the result, so that the specs run against the current sources without a gulp build.
+ *
+ * @return {GeoFire} The GeoFire constructor exported by the bundle.
+ */
+var loadBundle = function() {
+  var root = path.join(__dirname, "..");
+  var files = fs.readdirSync(path.join(root, "src")).filter(function(file) {
+    return /\.js$/.test(file);
+  }).sort().map(function(file) {
+    return path.join(root, "src", file);
+  });
+  var source = [path.join(root, "build/header")].concat(files, path.join(root, "build/footer")).map(function(file) {
+    return fs.readFileSync(file, "utf8");
+  }).join("\n");
+
+  var filename = path.join(root, "dist/geofire.js");
+  var bundle = new Module(filename, module);
+  bundle.filename = filename;
+  bundle.paths = Module._nodeModulePaths(root);
+  bundle._compile(source, filename);
+  return bundle.exports;
+};
+
+var GeoFire = loadBundle();
+
+/**
+ * Returns a promise fulfilled after the provided time.
+ *
+ * @param {number} ms The time to wait, in milliseconds.
+ * @return {Promise.<>} A promise fulfilled once the time has passed.
+ */
+var wait = function(ms) {
+  return new Promise(function(resolve) {
+    setTimeout(resolve, ms);
+  });
+};
+
+/**
+ * Wraps the adapter of a MemoryFirebase to count its listeners and reads, and to make them fail or lag on demand.
+ *
+ * @param {MemoryFirebase=} firebase The in-memory database, a new one if omitted.
+ * @return {Object} The adapter, with the counts as listens, activeListeners, rangeReads and keyReads, a failRangeReads
+ * count of range reads to reject, a listenDelay and a keyReadDelay in milliseconds, and a failListeners(error)
+ * method which reports the error to every attached listener.
+ */
+var testAdapter = function(firebase) {
+  var inner = new GeoFire.NativeScriptFirebaseAdapter(firebase || new GeoFire.MemoryFirebase());
+  var listeners = [];
+  var adapter = {
+    listens: 0,
+    activeListeners: 0,
+    rangeReads: 0,
+    keyReads: 0,
+    failRangeReads: 0,
+    listenDelay: 0,
+    keyReadDelay: 0,
+    update: function(path, data) {
+      return inner.update(path, data);
+    },
+    once: function(path, range) {
+      if (typeof range !== "undefined") {
+        adapter.rangeReads++;
+        if (adapter.failRangeReads > 0) {
+          adapter.failRangeReads--;
+          return Promise.reject(new Error("permission_denied"));
+        }
+        return inner.once(path, range);
+      }
+      adapter.keyReads++;
+      var delay = adapter.keyReadDelay;
+      return inner.once(path).then(function(value) {
+        return wait(delay).then(function() {
+          return value;
+        });
+      });
+    },
+    listen: function(path, range, onEvent, onError) {
+      adapter.listens++;
+      adapter.activeListeners++;
+      var attached = (adapter.listenDelay > 0) ? wait(adapter.listenDelay).then(function() {
+        return inner.listen(path, range, onEvent, onError);
+      }) : inner.listen(path, range, onEvent, onError);
+      return attached.then(function(handle) {
+        listeners.push({ handle: handle, onError: onError });
+        return handle;
+      });
+    },
+    unlisten: function(handle) {
+      adapter.activeListeners--;
+      listeners = listeners.filter(function(listener) {
+        return listener.handle !== handle;
+      });
+      inner.unlisten(handle);
+    },
+    failListeners: function(error) {
+      listeners.slice().forEach(function(listener) {
+        listener.onError(error);
+      });
+    }
+  };
+  return adapter;
+};
+
+/**
+ * Records the events of a query as "eventType:key" strings.
+ *
+ * @param {GeoQuery|GeoFenceSet} query The query or fence set to record the events of.
+ * @param {Array.<string>=} eventTypes The event types to record, the key events by default.
+ * @return {Array.<string>} The recorded events, filled in as they fire.
+ */
+var recordEvents = function(query, eventTypes) {
+  var events = [];
+  (eventTypes || ["key_entered", "key_exited", "key_moved", "key_changed"]).forEach(function(eventType) {
+    query.on(eventType, function(key) {
+      events.push(eventType + ":" + key);
+    });
+  });
+  return events;
+};
+
+/**
+ * Returns a promise fulfilled the next time a query fires its "ready" event.
+ *
+ * @param {GeoQuery} query The query.
+ * @return {Promise.<>} A promise fulfilled once the query is ready.
+ */
+var ready = function(query) {
+  return new Promise(function(resolve) {
+    var registration = query.on("ready", function() {
+      // The registration is only returned once a query which is already ready has called back
+      setTimeout(function() {
+        registration.cancel();
+        resolve();
+      }, 0);
+    });
+  });
+};
+
+/**
+ * Returns the longitude of a point the provided distance east of [0, 0] on the equator.
+ *
+ * @param {number} meters The distance, in meters.
+ * @return {number} The longitude of the point.
+ */
+var metersEast = function(meters) {
+  return meters / 111319.49;
+};
+
+module.exports = {
+  GeoFire: GeoFire,
+  wait: wait,
+  testAdapter: testAdapter,
+  recordEvents: recordEvents,
+  ready: ready,
+  metersEast: metersEast
+};
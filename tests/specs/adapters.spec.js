@@ -0,0 +1,152 @@
+var assert = require("assert");
+var common = require("../common.js");
+var GeoFire = common.GeoFire;
+
+describe("Adapters", function() {
+  /**
+   * Creates a fake Firebase database reference which records the calls made on it as strings.
+   *
+   * @param {Object} database The { calls, listeners, value } shared by the references, where value is the value
+   * every read resolves with.
+   * @param {string} description The description of the reference or query, recorded with its calls.
+   * @return {Object} The fake reference.
+   */
+  function fakeReference(database, description) {
+    var refine = function(name) {
+      return function(value) {
+        return fakeReference(database, description + "." + name + "(" + value + ")");
+      };
+    };
+    return {
+      child: function(path) {
+        return fakeReference(database, description + "/" + path);
+      },
+      orderByChild: refine("orderByChild"),
+      startAt: refine("startAt"),
+      endAt: refine("endAt"),
+      update: function(data) {
+        database.calls.push(description + ".update(" + JSON.stringify(data) + ")");
+        return Promise.resolve();
+      },
+      once: function(eventType) {
+        database.calls.push(description + ".once(" + eventType + ")");
+        return Promise.resolve({
+          val: function() {
+            return database.value;
+          }
+        });
+      },
+      on: function(eventType, callback, cancelCallback) {
+        database.calls.push(description + ".on(" + eventType + ")");
+        database.listeners.push({ eventType: eventType, callback: callback, cancelCallback: cancelCallback });
+        return callback;
+      },
+      off: function(eventType, callback) {
+        database.calls.push(description + ".off(" + eventType + ")");
+        database.listeners = database.listeners.filter(function(listener) {
+          return listener.callback !== callback;
+        });
+      }
+    };
+  }
+
+  [GeoFire.WebDatabaseAdapter, GeoFire.AdminDatabaseAdapter].forEach(function(DatabaseAdapter) {
+    describe(DatabaseAdapter === GeoFire.WebDatabaseAdapter ? "WebDatabaseAdapter" : "AdminDatabaseAdapter", function() {
+      var database, adapter;
+
+      beforeEach(function() {
+        database = { calls: [], listeners: [], value: null };
+        adapter = new DatabaseAdapter(fakeReference(database, "root"));
+      });
+
+      it("writes and reads paths relative to the reference", function() {
+        database.value = { g: "s0" };
+        return adapter.update("/geo", { a: null }).then(function() {
+          return adapter.once("/geo/a");
+        }).then(function(value) {
+          assert.deepEqual(value, { g: "s0" });
+          assert.deepEqual(database.calls, ["root/geo.update({\"a\":null})", "root/geo/a.once(value)"]);
+        });
+      });
+
+      it("reads ranges of children with a child ordered query", function() {
+        return adapter.once("/geo", { child: "g", start: "9q", end: "9q~" }).then(function() {
+          assert.deepEqual(database.calls, ["root/geo.orderByChild(g).startAt(9q).endAt(9q~).once(value)"]);
+        });
+      });
+
+      it("passes the child events of a range and calls off() for each of them when it stops listening", function() {
+        var events = [];
+        return adapter.listen("/geo", { child: "g", start: "9q", end: "9q~" }, function(eventType, key, value) {
+          events.push([eventType, key, value]);
+        }).then(function(handle) {
+          database.listeners.forEach(function(listener) {
+            listener.callback({
+              key: "a",
+              val: function() {
+                return { g: "9q0" };
+              }
+            });
+          });
+          assert.deepEqual(events, [
+            ["child_added", "a", { g: "9q0" }],
+            ["child_changed", "a", { g: "9q0" }],
+            ["child_removed", "a", { g: "9q0" }]
+          ]);
+
+          adapter.unlisten(handle);
+          assert.deepEqual(database.listeners, []);
+          assert.deepEqual(database.calls.filter(function(call) {
+            return /\.off\(/.test(call);
+          }), [
+            "root/geo.orderByChild(g).startAt(9q).endAt(9q~).off(child_added)",
+            "root/geo.orderByChild(g).startAt(9q).endAt(9q~).off(child_changed)",
+            "root/geo.orderByChild(g).startAt(9q).endAt(9q~).off(child_removed)"
+          ]);
+        });
+      });
+
+      it("reports a cancelled listener once", function() {
+        var errors = [];
+        return adapter.listen("/geo", { child: "g", start: "9q", end: "9q~" }, function() {}, function(error) {
+          errors.push(error.message);
+        }).then(function() {
+          database.listeners.forEach(function(listener) {
+            listener.cancelCallback(new Error("permission_denied"));
+          });
+          assert.deepEqual(errors, ["permission_denied"]);
+        });
+      });
+    });
+  });
+
+  describe("GeoFire backends", function() {
+    it("wraps database references in a WebDatabaseAdapter", function() {
+      var database = { calls: [], listeners: [], value: null };
+      var geoFire = new GeoFire(fakeReference(database, "root"), "/geo");
+      return geoFire.remove("a").then(function() {
+        assert.deepEqual(database.calls, ["root/geo.update({\"a\":null})"]);
+      });
+    });
+
+    it("uses an adapter as is", function() {
+      var adapter = common.testAdapter();
+      var geoFire = new GeoFire(adapter, "/geo");
+      return geoFire.set("a", [0, 0]).then(function() {
+        return geoFire.get("a");
+      }).then(function(location) {
+        assert.deepEqual(location, [0, 0]);
+        assert.ok(adapter.keyReads > 0);
+      });
+    });
+
+    it("rejects other backends", function() {
+      assert.throws(function() {
+        new GeoFire.NativeScriptFirebaseAdapter({}); // jshint ignore:line
+      }, /nativescript-plugin-firebase/);
+      assert.throws(function() {
+        new GeoFire.WebDatabaseAdapter({}); // jshint ignore:line
+      }, /database reference/);
+    });
+  });
+});
@@ -0,0 +1,172 @@
+var assert = require("assert");
+var common = require("../common.js");
+var GeoFire = common.GeoFire;
+var wait = common.wait;
+var ready = common.ready;
+var recordEvents = common.recordEvents;
+
+describe("FirestoreAdapter", function() {
+  var firestore, queries;
+
+  beforeEach(function() {
+    firestore = new GeoFire.MemoryFirestore();
+    queries = [];
+  });
+
+  afterEach(function() {
+    queries.forEach(function(query) {
+      query.cancel();
+    });
+  });
+
+  function query(geoFire, criteria, options) {
+    var geoQuery = geoFire.query(criteria, options);
+    queries.push(geoQuery);
+    return geoQuery;
+  }
+
+  it("stores locations as geohash, lat and lng fields", function() {
+    var geoFire = new GeoFire(firestore, "drivers");
+    return geoFire.set("a", [1, 2]).then(function() {
+      return firestore.doc("drivers/a").get();
+    }).then(function(documentSnapshot) {
+      var fields = documentSnapshot.data();
+      assert.strictEqual(fields.geohash.length, 10);
+      assert.strictEqual(fields.lat, 1);
+      assert.strictEqual(fields.lng, 2);
+      return geoFire.get("a");
+    }).then(function(location) {
+      assert.deepEqual(location, [1, 2]);
+      return geoFire.remove("a");
+    }).then(function() {
+      return firestore.doc("drivers/a").get();
+    }).then(function(documentSnapshot) {
+      assert.strictEqual(documentSnapshot.exists, false);
+    });
+  });
+
+  it("fires the key events of a query", function() {
+    var geoFire = new GeoFire(firestore, "drivers");
+    var geoQuery = query(geoFire, { center: [0, 0], radius: 10 });
+    var events = recordEvents(geoQuery);
+    return ready(geoQuery).then(function() {
+      return geoFire.set("a", [0, 0]);
+    }).then(function() {
+      return geoFire.set("a", [0, 0.01]);
+    }).then(function() {
+      return geoFire.remove("a");
+    }).then(function() {
+      return wait(20);
+    }).then(function() {
+      assert.deepEqual(events, ["key_entered:a", "key_moved:a", "key_exited:a"]);
+    });
+  });
+
+  it("loads the initial data of a query from the first snapshot", function() {
+    var geoFire = new GeoFire(firestore, "drivers");
+    var reads = 0;
+    var collection = firestore.collection;
+    firestore.collection = function(path) {
+      var collectionRef = collection.call(firestore, path);
+      var orderBy = collectionRef.orderBy;
+      collectionRef.orderBy = function(field) {
+        var orderedQuery = orderBy.call(collectionRef, field);
+        var get = orderedQuery.get;
+        orderedQuery.get = function() {
+          reads++;
+          return get.apply(orderedQuery, arguments);
+        };
+        return orderedQuery;
+      };
+      return collectionRef;
+    };
+    var geoQuery;
+    var events;
+    return geoFire.set("a", [0, 0]).then(function() {
+      geoQuery = query(geoFire, { center: [0, 0], radius: 10 });
+      events = recordEvents(geoQuery, ["key_entered"]);
+      return ready(geoQuery);
+    }).then(function() {
+      assert.deepEqual(events, ["key_entered:a"]);
+      assert.strictEqual(reads, 0);
+    });
+  });
+
+  it("reports snapshot listener errors through the error event", function() {
+    var failingQuery = {
+      orderBy: function() { return failingQuery; },
+      startAt: function() { return failingQuery; },
+      endAt: function() { return failingQuery; },
+      onSnapshot: function(onNext, onError) {
+        setTimeout(function() {
+          onError(new Error("permission-denied"));
+        }, 0);
+        return function() {};
+      }
+    };
+    var failingFirestore = {
+      collection: function() { return failingQuery; },
+      batch: function() {}
+    };
+    var geoQuery = query(new GeoFire(failingFirestore, "drivers"), { center: [0, 0], radius: 1 });
+    var errors = [];
+    geoQuery.on("error", function(error) {
+      errors.push(error.message);
+    });
+    return ready(geoQuery).then(function() {
+      assert.ok(errors.length > 0);
+      errors.forEach(function(message) {
+        assert.strictEqual(message, "permission-denied");
+      });
+    });
+  });
+
+  it("honours custom storage fields", function() {
+    var geoFire = new GeoFire(firestore, "c", { geohashField: "hash", locationField: ["latitude", "longitude"] });
+    var geoQuery;
+    var events;
+    return geoFire.set("a", [1, 1]).then(function() {
+      return firestore.doc("c/a").get();
+    }).then(function(documentSnapshot) {
+      var fields = documentSnapshot.data();
+      assert.strictEqual(fields.hash.length, 10);
+      assert.strictEqual(fields.latitude, 1);
+      assert.strictEqual(fields.longitude, 1);
+      return geoFire.get("a");
+    }).then(function(location) {
+      assert.deepEqual(location, [1, 1]);
+      geoQuery = query(geoFire, { center: [1, 1], radius: 10 });
+      events = recordEvents(geoQuery, ["key_entered"]);
+      return ready(geoQuery);
+    }).then(function() {
+      assert.deepEqual(events, ["key_entered:a"]);
+    });
+  });
+
+  it("stores the time of the write as a server timestamp when the SDK provides FieldValue", function() {
+    var geoFire = new GeoFire(firestore, "drivers");
+    var placeholders = 0;
+    global.firebase = {
+      firestore: {
+        FieldValue: {
+          serverTimestamp: function() {
+            placeholders++;
+            return GeoFire.MemoryFirestore.FieldValue.serverTimestamp();
+          }
+        }
+      }
+    };
+    var before = Date.now();
+    return geoFire.set("a", [1, 2]).then(function() {
+      delete global.firebase;
+      assert.strictEqual(placeholders, 1);
+      return firestore.doc("drivers/a").get();
+    }, function(error) {
+      delete global.firebase;
+      throw error;
+    }).then(function(documentSnapshot) {
+      var t = documentSnapshot.data().t;
+      assert.ok(t >= before && t <= Date.now());
+    });
+  });
+});
@@ -0,0 +1,125 @@
+var assert = require("assert");
+var common = require("../common.js");
+var GeoFire = common.GeoFire;
+var wait = common.wait;
+
+describe("GeoFenceSet", function() {
+  var adapter, geoFire, fences;
+
+  beforeEach(function() {
+    adapter = common.testAdapter();
+    geoFire = new GeoFire(adapter, "/geo");
+    fences = geoFire.fenceSet();
+  });
+
+  afterEach(function() {
+    fences.cancel();
+  });
+
+  it("fires the events of every region with its id", function() {
+    var events = [];
+    fences.on("key_entered", function(regionId, key) {
+      events.push(regionId + ":" + key);
+    });
+    fences.addRegion("home", { center: [0, 0], radius: 1 });
+    fences.addRegion("zone", { bounds: [[0, 0], [1, 1]] });
+    return geoFire.set({ a: [0.001, 0.001], b: [0.5, 0.5] }).then(function() {
+      assert.deepEqual(events.sort(), ["home:a", "zone:a", "zone:b"]);
+    });
+  });
+
+  it("fires the events of regions added later, and stops those of removed regions", function() {
+    var events = [];
+    fences.on("key_entered", function(regionId, key) {
+      events.push("entered " + regionId + ":" + key);
+    });
+    fences.on("key_exited", function(regionId, key) {
+      events.push("exited " + regionId + ":" + key);
+    });
+    return geoFire.set("a", [0, 0]).then(function() {
+      fences.addRegion("home", { center: [0, 0], radius: 1 });
+      return wait(20);
+    }).then(function() {
+      fences.removeRegion("home");
+      assert.deepEqual(fences.regions(), []);
+      return geoFire.remove("a");
+    }).then(function() {
+      return wait(20);
+    }).then(function() {
+      assert.deepEqual(events, ["entered home:a"]);
+    });
+  });
+
+  it("passes the region id to ready callbacks", function() {
+    var readyRegions = [];
+    fences.on("ready", function(regionId) {
+      readyRegions.push(regionId);
+    });
+    fences.addRegion("home", { center: [0, 0], radius: 1 });
+    return wait(20).then(function() {
+      assert.deepEqual(readyRegions, ["home"]);
+    });
+  });
+
+  it("returns the ids and queries of its regions", function() {
+    fences.addRegion("home", { center: [0, 0], radius: 1 });
+    fences.addRegion("zone", { bounds: [[0, 0], [1, 1]] });
+    assert.deepEqual(fences.regions().sort(), ["home", "zone"]);
+    assert.deepEqual(fences.region("home").center(), [0, 0]);
+    assert.strictEqual(fences.region("missing"), null);
+  });
+
+  it("removes the listeners of its regions when cancelled", function() {
+    fences.addRegion("home", { center: [0, 0], radius: 1 });
+    return wait(20).then(function() {
+      assert.ok(adapter.activeListeners > 0);
+      fences.cancel();
+      return wait(0);
+    }).then(function() {
+      assert.strictEqual(adapter.activeListeners, 0);
+    });
+  });
+
+  it("rejects duplicate and invalid region ids", function() {
+    fences.addRegion("home", { center: [0, 0], radius: 1 });
+    assert.throws(function() {
+      fences.addRegion("home", { center: [1, 1], radius: 1 });
+    }, /already exists/);
+    assert.throws(function() {
+      fences.addRegion("", { center: [1, 1], radius: 1 });
+    }, /regionId/);
+  });
+
+  it("shares the listeners of identical ranges only, and listens to overlapping ranges separately", function() {
+    var small = { center: [0.2, 0.2], radius: 1 };
+    var large = { center: [0.2, 0.2], radius: 30 };
+    var events = [];
+    fences.on("key_entered", function(regionId, key) {
+      events.push(regionId + ":" + key);
+    });
+    var listens = {};
+    fences.addRegion("small", small);
+    return wait(20).then(function() {
+      listens.small = adapter.listens;
+      fences.addRegion("sameSmall", small);
+      return wait(20);
+    }).then(function() {
+      assert.strictEqual(adapter.listens, listens.small);
+      fences.addRegion("large", large);
+      return wait(20);
+    }).then(function() {
+      listens.large = adapter.listens - listens.small;
+      var otherAdapter = common.testAdapter();
+      var otherFences = new GeoFire(otherAdapter, "/geo").fenceSet();
+      otherFences.addRegion("large", large);
+      return wait(20).then(function() {
+        // The large region listens to all of its ranges although the small region is contained in it
+        assert.strictEqual(listens.large, otherAdapter.listens);
+        otherFences.cancel();
+        return geoFire.set("a", [0.2, 0.2]);
+      });
+    }).then(function() {
+      assert.deepEqual(events.sort(), ["large:a", "sameSmall:a", "small:a"]);
+    });
+  });
+});
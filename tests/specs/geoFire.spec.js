@@ -0,0 +1,267 @@
+var assert = require("assert");
+var common = require("../common.js");
+var GeoFire = common.GeoFire;
+var wait = common.wait;
+
+describe("GeoFire", function() {
+  var firebase, geoFire;
+
+  beforeEach(function() {
+    firebase = new GeoFire.MemoryFirebase();
+    geoFire = new GeoFire(firebase, "/geo");
+  });
+
+  /**
+   * Reads the raw value stored at a path of the in-memory database.
+   */
+  function read(path) {
+    return new GeoFire.NativeScriptFirebaseAdapter(firebase).once(path);
+  }
+
+  describe("constructor", function() {
+    it("rejects invalid arguments", function() {
+      assert.throws(function() {
+        new GeoFire(firebase, 12); // jshint ignore:line
+      }, /firebaseDst must be a string/);
+      assert.throws(function() {
+        new GeoFire({}, "/geo"); // jshint ignore:line
+      }, /firebase must be/);
+    });
+
+    it("returns its path from dst()", function() {
+      assert.strictEqual(geoFire.dst(), "/geo");
+    });
+  });
+
+  describe("set(), get() and remove()", function() {
+    it("writes and reads single locations", function() {
+      return geoFire.set("a", [37.79, -122.41]).then(function() {
+        return geoFire.get("a");
+      }).then(function(location) {
+        assert.deepEqual(location, [37.79, -122.41]);
+        return geoFire.get("missing");
+      }).then(function(location) {
+        assert.strictEqual(location, null);
+      });
+    });
+
+    it("stores the geohash and the location", function() {
+      return geoFire.set("a", [1, 2]).then(function() {
+        return read("/geo/a");
+      }).then(function(value) {
+        assert.strictEqual(value.g.length, 10);
+        assert.deepEqual(value.l, [1, 2]);
+      });
+    });
+
+    it("removes keys", function() {
+      return geoFire.set("a", [1, 2]).then(function() {
+        return geoFire.remove("a");
+      }).then(function() {
+        return geoFire.get("a");
+      }).then(function(location) {
+        assert.strictEqual(location, null);
+      });
+    });
+
+    it("rejects invalid keys and locations", function() {
+      assert.throws(function() {
+        geoFire.set("a/b", [0, 0]);
+      }, /key/);
+      assert.throws(function() {
+        geoFire.set("a", [91, 0]);
+      }, /latitude/);
+    });
+  });
+
+  describe("getMany()", function() {
+    it("reads several keys at once, with null for the missing ones", function() {
+      return geoFire.set({ a: [1, 2], b: [3, 4] }).then(function() {
+        return geoFire.getMany(["a", "b", "c"]);
+      }).then(function(locations) {
+        assert.deepEqual(locations, { a: [1, 2], b: [3, 4], c: null });
+      });
+    });
+
+    it("reads the keys directly", function() {
+      var adapter = common.testAdapter(firebase);
+      var direct = new GeoFire(adapter, "/geo");
+      return direct.set("a", [1, 2]).then(function() {
+        return direct.get("a");
+      }).then(function() {
+        return direct.getMany(["a", "b"]);
+      }).then(function() {
+        assert.strictEqual(adapter.keyReads, 3);
+        assert.strictEqual(adapter.rangeReads, 0);
+      });
+    });
+  });
+
+  describe("nearest()", function() {
+    it("resolves with the k closest keys", function() {
+      return geoFire.set({ a: [0, 1], b: [0, 2], c: [0, 3], d: [0, 0.5] }).then(function() {
+        return geoFire.nearest([0, 0], 2);
+      }).then(function(results) {
+        assert.deepEqual(results.map(function(result) { return result.key; }), ["d", "a"]);
+        assert.deepEqual(results[0].location, [0, 0.5]);
+      });
+    });
+
+    it("ignores keys beyond the maximum radius", function() {
+      return geoFire.set({ a: [0, 1], b: [0, 2] }).then(function() {
+        return geoFire.nearest([0, 0], 2, { maxRadius: 150 });
+      }).then(function(results) {
+        assert.deepEqual(results.map(function(result) { return result.key; }), ["a"]);
+      });
+    });
+  });
+
+  describe("queryOnce()", function() {
+    it("resolves with the keys within the criteria sorted by distance", function() {
+      return geoFire.set({ a: [0, 0.02], b: [0, 0.01], c: [1, 1] }).then(function() {
+        return geoFire.queryOnce({ center: [0, 0], radius: 10 });
+      }).then(function(results) {
+        assert.deepEqual(results.map(function(result) { return result.key; }), ["b", "a"]);
+        assert.deepEqual(results[0].location, [0, 0.01]);
+        assert.ok(Math.abs(results[0].distance - 1.11) < 0.01);
+      });
+    });
+
+    it("reads the ranges once without attaching listeners", function() {
+      var adapter = common.testAdapter(firebase);
+      return new GeoFire(adapter, "/geo").queryOnce({ bounds: [[0, 0], [1, 1]] }).then(function(results) {
+        assert.deepEqual(results, []);
+        assert.ok(adapter.rangeReads > 0);
+        assert.strictEqual(adapter.listens, 0);
+      });
+    });
+  });
+
+  describe("payloads", function() {
+    it("stores a payload next to the location", function() {
+      return geoFire.set("a", [1, 2], { name: "Alice" }).then(function() {
+        return read("/geo/a");
+      }).then(function(value) {
+        assert.deepEqual(value.d, { name: "Alice" });
+        return geoFire.queryOnce({ center: [1, 2], radius: 1 });
+      }).then(function(results) {
+        assert.deepEqual(results, [{ key: "a", location: [1, 2], distance: 0, data: { name: "Alice" } }]);
+      });
+    });
+
+    it("writes the payloads of several keys at once", function() {
+      return geoFire.set({
+        a: { location: [1, 2], data: { name: "Alice" } },
+        b: [3, 4]
+      }).then(function() {
+        return geoFire.queryOnce({ bounds: [[0, 0], [5, 5]] });
+      }).then(function(results) {
+        var data = {};
+        results.forEach(function(result) {
+          data[result.key] = result.data;
+        });
+        assert.deepEqual(data, { a: { name: "Alice" }, b: null });
+      });
+    });
+  });
+
+  describe("attribute filters", function() {
+    it("filters the results of queryOnce()", function() {
+      return geoFire.set({
+        a: { location: [0, 0], data: { status: "available" } },
+        b: { location: [0, 0], data: { status: "busy" } }
+      }).then(function() {
+        return geoFire.queryOnce({ center: [0, 0], radius: 10, where: { status: "available" } });
+      }).then(function(results) {
+        assert.deepEqual(results.map(function(result) { return result.key; }), ["a"]);
+      });
+    });
+  });
+
+  describe("storage options", function() {
+    it("reads and writes another layout", function() {
+      var legacy = new GeoFire(firebase, "/places", {
+        precision: 12,
+        geohashField: "geohash",
+        locationField: ["lat", "lng"],
+        dataField: "info",
+        priority: false
+      });
+      return legacy.set("a", [1, 2], { name: "Alice" }).then(function() {
+        return read("/places/a");
+      }).then(function(value) {
+        assert.strictEqual(value.geohash.length, 12);
+        assert.strictEqual(value.lat, 1);
+        assert.strictEqual(value.lng, 2);
+        assert.deepEqual(value.info, { name: "Alice" });
+        return legacy.queryOnce({ center: [1, 2], radius: 1 });
+      }).then(function(results) {
+        assert.deepEqual(results, [{ key: "a", location: [1, 2], distance: 0, data: { name: "Alice" } }]);
+      });
+    });
+
+    it("rejects unknown and invalid options", function() {
+      assert.throws(function() {
+        new GeoFire(firebase, "/geo", { geohashLength: 8 }); // jshint ignore:line
+      }, /Unexpected attribute/);
+      assert.throws(function() {
+        new GeoFire(firebase, "/geo", { precision: 23 }); // jshint ignore:line
+      });
+    });
+  });
+
+  describe("distance()", function() {
+    it("measures distances in the provided units", function() {
+      var kilometers = GeoFire.distance([0, 0], [0, 1]);
+      var miles = GeoFire.distance([0, 0], [0, 1], { units: "mi" });
+      assert.ok(Math.abs(kilometers - 111.19) < 0.01);
+      assert.ok(Math.abs(miles - kilometers / 1.609344) < 0.01);
+    });
+
+    it("measures distances on the ellipsoid", function() {
+      var distance = GeoFire.distance([0, 0], [0, 1], { units: "m", ellipsoidal: true });
+      assert.ok(Math.abs(distance - 111319.49) < 1);
+    });
+  });
+
+  describe("timestamps", function() {
+    it("records the server time of each write", function() {
+      var before = Date.now();
+      return geoFire.set("a", [1, 2]).then(function() {
+        return read("/geo/a");
+      }).then(function(value) {
+        assert.ok(value.t >= before && value.t <= Date.now());
+      });
+    });
+  });
+
+  describe("purgeOlderThan()", function() {
+    it("removes the keys written before the age", function() {
+      return geoFire.set({ old1: [0, 0], old2: [1, 1] }).then(function() {
+        return wait(50);
+      }).then(function() {
+        return geoFire.set("recent", [2, 2]);
+      }).then(function() {
+        return geoFire.purgeOlderThan(25);
+      }).then(function(count) {
+        assert.strictEqual(count, 2);
+        return geoFire.getMany(["old1", "old2", "recent"]);
+      }).then(function(locations) {
+        assert.deepEqual(locations, { old1: null, old2: null, recent: [2, 2] });
+      });
+    });
+  });
+
+  describe("density()", function() {
+    it("counts the keys of each cell", function() {
+      return geoFire.set({ a: [0.1, 0.1], b: [0.2, 0.2], c: [-2, -2] }).then(function() {
+        return geoFire.density({ center: [0, 0], radius: 500 }, 2);
+      }).then(function(cells) {
+        assert.deepEqual(cells.map(function(cell) { return cell.count; }).sort(), [1, 2]);
+        cells.forEach(function(cell) {
+          assert.strictEqual(cell.geohash.length, 2);
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,105 @@
+var assert = require("assert");
+var common = require("../common.js");
+var GeoFire = common.GeoFire;
+var wait = common.wait;
+var ready = common.ready;
+var recordEvents = common.recordEvents;
+
+describe("GeoListenerPool", function() {
+  var adapter, geoFire, queries;
+
+  beforeEach(function() {
+    adapter = common.testAdapter();
+    geoFire = new GeoFire(adapter, "/geo");
+    queries = [];
+  });
+
+  afterEach(function() {
+    queries.forEach(function(query) {
+      query.cancel();
+    });
+  });
+
+  function track(query) {
+    queries.push(query);
+    return query;
+  }
+
+  it("shares the listeners of identical queries of a GeoFire until the last one is cancelled", function() {
+    var first = track(geoFire.query({ center: [0, 0], radius: 10 }));
+    var second;
+    var events;
+    var listeners;
+    return ready(first).then(function() {
+      listeners = adapter.activeListeners;
+      second = track(geoFire.query({ center: [0, 0], radius: 10 }));
+      events = recordEvents(second, ["key_entered"]);
+      return ready(second);
+    }).then(function() {
+      assert.strictEqual(adapter.listens, listeners);
+      first.cancel();
+      return geoFire.set("a", [0, 0]);
+    }).then(function() {
+      assert.deepEqual(events, ["key_entered:a"]);
+      assert.strictEqual(adapter.activeListeners, listeners);
+      second.cancel();
+      return wait(0);
+    }).then(function() {
+      assert.strictEqual(adapter.activeListeners, 0);
+    });
+  });
+
+  it("shares the listeners of identical regions of a fence set", function() {
+    var fences = track(geoFire.fenceSet());
+    fences.addRegion("home", { center: [0, 0], radius: 1 });
+    return wait(20).then(function() {
+      var listeners = adapter.listens;
+      fences.addRegion("same", { center: [0, 0], radius: 1 });
+      return wait(20).then(function() {
+        assert.strictEqual(adapter.listens, listeners);
+        fences.cancel();
+        return wait(0);
+      });
+    }).then(function() {
+      assert.strictEqual(adapter.activeListeners, 0);
+    });
+  });
+
+  it("does not share the listeners of different GeoFire instances", function() {
+    var other = new GeoFire(adapter, "/geo");
+    var first = track(geoFire.query({ center: [0, 0], radius: 10 }));
+    var second;
+    var listeners;
+    return ready(first).then(function() {
+      listeners = adapter.listens;
+      second = track(other.query({ center: [0, 0], radius: 10 }));
+      return ready(second);
+    }).then(function() {
+      assert.strictEqual(adapter.listens, 2 * listeners);
+    });
+  });
+
+  it("delivers the events an adapter fires while its listener attaches", function() {
+    // An adapter which passes the initial children to the listener as it attaches, and whose range reads lag behind
+    var synchronousAdapter = {
+      update: function() {
+        return Promise.resolve();
+      },
+      once: function() {
+        return Promise.resolve(null);
+      },
+      listen: function(path, range, onEvent) {
+        if (range.start <= "s000000000" && "s000000000" <= range.end) {
+          onEvent("child_added", "a", { g: "s000000000", l: [0, 0] });
+        }
+        return Promise.resolve({});
+      },
+      unlisten: function() {}
+    };
+    var geoQuery = track(new GeoFire(synchronousAdapter, "/geo").query({ center: [0, 0], radius: 1 }));
+    var events = recordEvents(geoQuery, ["key_entered"]);
+    return ready(geoQuery).then(function() {
+      assert.deepEqual(events, ["key_entered:a"]);
+    });
+  });
+});
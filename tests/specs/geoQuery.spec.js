@@ -0,0 +1,744 @@
+var assert = require("assert");
+var common = require("../common.js");
+var GeoFire = common.GeoFire;
+var wait = common.wait;
+var ready = common.ready;
+var recordEvents = common.recordEvents;
+
+describe("GeoQuery", function() {
+  var adapter, geoFire, queries;
+
+  beforeEach(function() {
+    adapter = common.testAdapter();
+    geoFire = new GeoFire(adapter, "/geo");
+    queries = [];
+  });
+
+  afterEach(function() {
+    queries.forEach(function(query) {
+      query.cancel();
+    });
+  });
+
+  function query(criteria, options) {
+    var geoQuery = geoFire.query(criteria, options);
+    queries.push(geoQuery);
+    return geoQuery;
+  }
+
+  describe("key events", function() {
+    it("fires key_entered for the keys within the query", function() {
+      var geoQuery;
+      var events;
+      return geoFire.set({ a: [0, 0], b: [0, 0.05], c: [1, 1] }).then(function() {
+        geoQuery = query({ center: [0, 0], radius: 10 });
+        events = recordEvents(geoQuery, ["key_entered"]);
+        return wait(20);
+      }).then(function() {
+        assert.deepEqual(events.sort(), ["key_entered:a", "key_entered:b"]);
+      });
+    });
+
+    it("fires key_entered, key_moved and key_exited as keys are written", function() {
+      var geoQuery = query({ center: [0, 0], radius: 10 });
+      var events = recordEvents(geoQuery);
+      return wait(20).then(function() {
+        return geoFire.set("a", [0, 0.01]);
+      }).then(function() {
+        return geoFire.set("a", [0, 0.02]);
+      }).then(function() {
+        return geoFire.set("a", [1, 1]);
+      }).then(function() {
+        return wait(20);
+      }).then(function() {
+        assert.deepEqual(events, ["key_entered:a", "key_moved:a", "key_exited:a"]);
+      });
+    });
+
+    it("passes the location and distance of the keys", function() {
+      var geoQuery = query({ center: [0, 0], radius: 10 });
+      var entered = [];
+      geoQuery.on("key_entered", function(key, location, distance) {
+        entered.push([key, location, Math.round(distance)]);
+      });
+      return wait(20).then(function() {
+        return geoFire.set("a", [0, 0.05]);
+      }).then(function() {
+        assert.deepEqual(entered, [["a", [0, 0.05], 6]]);
+      });
+    });
+
+    it("fires key_exited with a null location for a key removed from GeoFire", function() {
+      var geoQuery = query({ center: [0, 0], radius: 10 });
+      var exited = [];
+      geoQuery.on("key_exited", function(key, location, distance) {
+        exited.push([key, location, distance]);
+      });
+      return geoFire.set("a", [0, 0]).then(function() {
+        return wait(20);
+      }).then(function() {
+        return geoFire.remove("a");
+      }).then(function() {
+        return wait(20);
+      }).then(function() {
+        assert.deepEqual(exited, [["a", null, null]]);
+      });
+    });
+
+    it("keeps a key whose removal from a range is overtaken by a newer write", function() {
+      var geoQuery = query({ center: [0, 0], radius: 10 });
+      var events = recordEvents(geoQuery);
+      return geoFire.set("b", [0, 0.01]).then(function() {
+        return wait(20);
+      }).then(function() {
+        // The read of the key which left its range resolves after the key came back
+        adapter.keyReadDelay = 30;
+        return geoFire.set("b", [5, 5]);
+      }).then(function() {
+        return geoFire.set("b", [0, 0.01]);
+      }).then(function() {
+        return wait(60);
+      }).then(function() {
+        return geoFire.set("b", [0, 0.02]);
+      }).then(function() {
+        assert.deepEqual(events, ["key_entered:b", "key_moved:b"]);
+      });
+    });
+
+    it("fires key_entered for the keys already within the query when a callback is attached", function() {
+      var geoQuery = query({ center: [0, 0], radius: 10 });
+      return geoFire.set({ a: [0, 0], b: [3, 3] }).then(function() {
+        return wait(20);
+      }).then(function() {
+        var events = recordEvents(geoQuery, ["key_entered"]);
+        assert.deepEqual(events, ["key_entered:a"]);
+      });
+    });
+
+    it("does not skip a callback when another one is cancelled while it fires", function() {
+      var geoQuery = query({ center: [0, 0], radius: 10 });
+      var calls = [];
+      var registration = geoQuery.on("key_entered", function() {
+        calls.push("first");
+        registration.cancel();
+      });
+      geoQuery.on("key_entered", function() {
+        calls.push("second");
+      });
+      return geoFire.set("a", [0, 0]).then(function() {
+        assert.deepEqual(calls, ["first", "second"]);
+      });
+    });
+
+    it("rejects invalid event types and callbacks", function() {
+      var geoQuery = query({ center: [0, 0], radius: 10 });
+      assert.throws(function() {
+        geoQuery.on("key_teleported", function() {});
+      }, /event type must be/);
+      assert.throws(function() {
+        geoQuery.on("key_entered", "callback");
+      }, /callback must be a function/);
+    });
+  });
+
+  describe("updateCriteria()", function() {
+    it("moves keys in and out as the criteria are updated", function() {
+      var geoQuery = query({ center: [0, 0], radius: 10 });
+      var events = recordEvents(geoQuery);
+      return geoFire.set({ a: [0, 0], b: [0, 0.5] }).then(function() {
+        return wait(20);
+      }).then(function() {
+        geoQuery.updateCriteria({ center: [0, 0.5] });
+        return wait(20);
+      }).then(function() {
+        assert.deepEqual(events, ["key_entered:a", "key_exited:a", "key_entered:b"]);
+      });
+    });
+  });
+
+  describe("cancel()", function() {
+    it("removes every listener and stops firing events", function() {
+      var geoQuery = geoFire.query({ center: [0, 0], radius: 10 });
+      var events = recordEvents(geoQuery);
+      return wait(20).then(function() {
+        assert.ok(adapter.activeListeners > 0);
+        geoQuery.cancel();
+        return geoFire.set("a", [0, 0]);
+      }).then(function() {
+        assert.strictEqual(adapter.activeListeners, 0);
+        assert.deepEqual(events, []);
+        assert.throws(function() {
+          geoQuery.on("key_entered", function() {});
+        }, /cancelled/);
+      });
+    });
+
+    it("removes the listeners attached after it was called", function() {
+      var geoQuery = geoFire.query({ center: [0, 0], radius: 10 });
+      geoQuery.cancel();
+      return wait(20).then(function() {
+        assert.strictEqual(adapter.activeListeners, 0);
+      });
+    });
+
+    it("stops the pending removal reads from firing events", function() {
+      var geoQuery = geoFire.query({ center: [0, 0], radius: 10 });
+      var events = recordEvents(geoQuery, ["key_entered", "key_exited"]);
+      return geoFire.set("a", [0, 0]).then(function() {
+        return wait(20);
+      }).then(function() {
+        adapter.keyReadDelay = 20;
+        return geoFire.remove("a");
+      }).then(function() {
+        geoQuery.cancel();
+        return wait(40);
+      }).then(function() {
+        assert.deepEqual(events, ["key_entered:a"]);
+      });
+    });
+  });
+
+  describe("ready", function() {
+    it("fires once the initial data has been loaded, and right away afterwards", function() {
+      var geoQuery;
+      var events;
+      var count = 0;
+      return geoFire.set({ a: [0, 0], b: [1, 1] }).then(function() {
+        geoQuery = query({ center: [0, 0], radius: 10 });
+        events = recordEvents(geoQuery, ["key_entered", "ready"]);
+        return ready(geoQuery);
+      }).then(function() {
+        assert.deepEqual(events, ["key_entered:a", "ready:undefined"]);
+        geoQuery.on("ready", function() {
+          count++;
+        });
+        assert.strictEqual(count, 1);
+      });
+    });
+
+    it("fires again after the criteria are updated", function() {
+      var geoQuery = query({ center: [0, 0], radius: 10 });
+      var events = recordEvents(geoQuery, ["key_entered", "ready"]);
+      return geoFire.set("far", [10, 10]).then(function() {
+        return ready(geoQuery);
+      }).then(function() {
+        geoQuery.updateCriteria({ center: [10, 10] });
+        return ready(geoQuery);
+      }).then(function() {
+        assert.deepEqual(events, ["ready:undefined", "key_entered:far", "ready:undefined"]);
+      });
+    });
+
+    it("waits for the ranges still loading which updated criteria keep", function() {
+      adapter.listenDelay = 50;
+      var geoQuery;
+      var events;
+      return geoFire.set("a", [0, 0]).then(function() {
+        geoQuery = query({ center: [0, 0], radius: 10 });
+        events = recordEvents(geoQuery, ["key_entered", "ready"]);
+        geoQuery.updateCriteria({ radius: 10.5 });
+        return ready(geoQuery);
+      }).then(function() {
+        assert.deepEqual(events, ["key_entered:a", "ready:undefined"]);
+      });
+    });
+
+    it("reports a range which fails to load through the error event and still fires", function() {
+      adapter.failRangeReads = 1;
+      var geoQuery = query({ center: [0, 0], radius: 10 });
+      var errors = [];
+      geoQuery.on("error", function(error) {
+        errors.push(error.message);
+      });
+      return ready(geoQuery).then(function() {
+        assert.deepEqual(errors, ["permission_denied"]);
+      });
+    });
+  });
+
+  describe("bounds", function() {
+    it("tracks the keys within a rectangle", function() {
+      var geoQuery = query({ bounds: [[0, 0], [1, 1]] });
+      var events = recordEvents(geoQuery, ["key_entered"]);
+      return geoFire.set({ inside: [0.5, 0.5], outside: [1.5, 0.5] }).then(function() {
+        assert.deepEqual(events, ["key_entered:inside"]);
+        assert.deepEqual(geoQuery.bounds(), [[0, 0], [1, 1]]);
+        assert.deepEqual(geoQuery.center(), [0.5, 0.5]);
+        assert.strictEqual(geoQuery.radius(), null);
+      });
+    });
+
+    it("supports rectangles crossing the antimeridian", function() {
+      var geoQuery = query({ bounds: [[0, 179], [1, -179]] });
+      var events = recordEvents(geoQuery, ["key_entered"]);
+      return geoFire.set({ east: [0.5, 179.5], west: [0.5, -179.5], away: [0.5, 0] }).then(function() {
+        assert.deepEqual(events.sort(), ["key_entered:east", "key_entered:west"]);
+      });
+    });
+
+    it("rejects bounds mixed with a center and radius", function() {
+      assert.throws(function() {
+        query({ bounds: [[0, 0], [1, 1]], center: [0, 0], radius: 1 });
+      });
+    });
+  });
+
+  describe("polygon", function() {
+    it("tracks the keys within a polygon", function() {
+      var geoQuery = query({ polygon: [[0, 0], [1, 0], [0, 1]] });
+      var events = recordEvents(geoQuery, ["key_entered"]);
+      return geoFire.set({ inside: [0.2, 0.2], outside: [0.8, 0.8] }).then(function() {
+        assert.deepEqual(events, ["key_entered:inside"]);
+        assert.deepEqual(geoQuery.polygon(), [[0, 0], [1, 0], [0, 1]]);
+      });
+    });
+
+    it("exits the keys moving out of the polygon", function() {
+      var geoQuery = query({ polygon: [[0, 0], [1, 0], [0, 1]] });
+      var events = recordEvents(geoQuery, ["key_entered", "key_exited"]);
+      return geoFire.set("a", [0.2, 0.2]).then(function() {
+        return geoFire.set("a", [0.8, 0.8]);
+      }).then(function() {
+        assert.deepEqual(events, ["key_entered:a", "key_exited:a"]);
+      });
+    });
+
+    it("rejects polygons with less than three vertices", function() {
+      assert.throws(function() {
+        query({ polygon: [[0, 0], [1, 0]] });
+      });
+    });
+  });
+
+  describe("payloads", function() {
+    it("passes the payload of the keys to the callbacks", function() {
+      var geoQuery = query({ center: [0, 0], radius: 10 });
+      var entered = [];
+      geoQuery.on("key_entered", function(key, location, distance, data) {
+        entered.push([key, data]);
+      });
+      return geoFire.set("a", [0, 0.05], { name: "Alice" }).then(function() {
+        assert.deepEqual(entered, [["a", { name: "Alice" }]]);
+      });
+    });
+
+    it("fires key_changed when only the payload of a key changes", function() {
+      var geoQuery = query({ center: [0, 0], radius: 10 });
+      var events = recordEvents(geoQuery);
+      return geoFire.set("a", [0, 0], { status: "free" }).then(function() {
+        return geoFire.set("a", [0, 0], { status: "busy" });
+      }).then(function() {
+        return geoFire.set("a", [0, 0.01], { status: "busy" });
+      }).then(function() {
+        assert.deepEqual(events, ["key_entered:a", "key_changed:a", "key_moved:a"]);
+      });
+    });
+  });
+
+  describe("attribute filters", function() {
+    it("only tracks the keys matching where and filter", function() {
+      var geoQuery = query({
+        center: [0, 0],
+        radius: 10,
+        where: { status: "available" },
+        filter: function(key, location, attributes) {
+          return attributes.seats >= 4;
+        }
+      });
+      var events = recordEvents(geoQuery, ["key_entered"]);
+      return geoFire.set({
+        a: { location: [0, 0], data: { status: "available", seats: 4 } },
+        b: { location: [0, 0], data: { status: "busy", seats: 4 } },
+        c: { location: [0, 0], data: { status: "available", seats: 2 } }
+      }).then(function() {
+        assert.deepEqual(events, ["key_entered:a"]);
+      });
+    });
+
+    it("enters and exits keys whose attributes change", function() {
+      var geoQuery = query({ center: [0, 0], radius: 10, where: { status: "available" } });
+      var events = recordEvents(geoQuery);
+      return geoFire.set("a", [0, 0], { status: "available" }).then(function() {
+        return geoFire.set("a", [0, 0], { status: "busy" });
+      }).then(function() {
+        return geoFire.set("a", [0, 0], { status: "available" });
+      }).then(function() {
+        assert.deepEqual(events, ["key_entered:a", "key_exited:a", "key_entered:a"]);
+      });
+    });
+  });
+
+  describe("units", function() {
+    it("measures the radius and the distances in the units of the query", function() {
+      var geoQuery = query({ center: [0, 0], radius: 1000, units: "m" });
+      var distances = [];
+      geoQuery.on("key_entered", function(key, location, distance) {
+        distances.push(Math.round(distance));
+      });
+      return geoFire.set({ near: [0, common.metersEast(500)], far: [0, common.metersEast(1500)] }).then(function() {
+        assert.strictEqual(distances.length, 1);
+        assert.ok(Math.abs(distances[0] - 500) < 5);
+        assert.strictEqual(geoQuery.units(), "m");
+      });
+    });
+
+    it("rejects unknown units", function() {
+      assert.throws(function() {
+        query({ center: [0, 0], radius: 1, units: "furlongs" });
+      });
+    });
+  });
+
+  describe("dwellTime", function() {
+    it("fires key_dwelled once a key has stayed within the query", function() {
+      var geoQuery = query({ center: [0, 0], radius: 10 }, { dwellTime: 40 });
+      var events = recordEvents(geoQuery, ["key_dwelled"]);
+      return geoFire.set({ a: [0, 0], b: [0, 0.01] }).then(function() {
+        return wait(10);
+      }).then(function() {
+        return geoFire.set("b", [1, 1]);
+      }).then(function() {
+        return wait(80);
+      }).then(function() {
+        assert.deepEqual(events, ["key_dwelled:a"]);
+      });
+    });
+
+    it("requires the dwellTime option for key_dwelled", function() {
+      var geoQuery = query({ center: [0, 0], radius: 10 });
+      assert.throws(function() {
+        geoQuery.on("key_dwelled", function() {});
+      }, /dwellTime/);
+    });
+  });
+
+  describe("exitBuffer and exitDelay", function() {
+    it("only exits keys beyond the exit buffer", function() {
+      var geoQuery = query({ center: [0, 0], radius: 1000, units: "m" }, { exitBuffer: 100 });
+      var events = recordEvents(geoQuery, ["key_entered", "key_exited"]);
+      return geoFire.set("a", [0, common.metersEast(990)]).then(function() {
+        return geoFire.set("a", [0, common.metersEast(1050)]);
+      }).then(function() {
+        assert.deepEqual(events, ["key_entered:a"]);
+        return geoFire.set("a", [0, common.metersEast(1150)]);
+      }).then(function() {
+        assert.deepEqual(events, ["key_entered:a", "key_exited:a"]);
+      });
+    });
+
+    it("only exits keys which stay outside for the exit delay", function() {
+      var geoQuery = query({ center: [0, 0], radius: 1000, units: "m" }, { exitDelay: 40 });
+      var events = recordEvents(geoQuery, ["key_entered", "key_exited"]);
+      return geoFire.set("a", [0, common.metersEast(990)]).then(function() {
+        return geoFire.set("a", [0, common.metersEast(1050)]);
+      }).then(function() {
+        return geoFire.set("a", [0, common.metersEast(980)]);
+      }).then(function() {
+        return wait(60);
+      }).then(function() {
+        assert.deepEqual(events, ["key_entered:a"]);
+        return geoFire.set("a", [0, common.metersEast(1050)]);
+      }).then(function() {
+        return wait(80);
+      }).then(function() {
+        assert.deepEqual(events, ["key_entered:a", "key_exited:a"]);
+      });
+    });
+  });
+
+  describe("maxAge", function() {
+    it("exits keys once their location is older than maxAge", function() {
+      var geoQuery = query({ center: [0, 0], radius: 10 }, { maxAge: 40 });
+      var events = recordEvents(geoQuery, ["key_entered", "key_exited"]);
+      return geoFire.set("a", [0, 0]).then(function() {
+        return wait(80);
+      }).then(function() {
+        assert.deepEqual(events, ["key_entered:a", "key_exited:a"]);
+      });
+    });
+
+    it("does not enter keys which are already too old", function() {
+      return geoFire.set("a", [0, 0]).then(function() {
+        return wait(50);
+      }).then(function() {
+        var geoQuery = query({ center: [0, 0], radius: 10 }, { maxAge: 20 });
+        var events = recordEvents(geoQuery, ["key_entered"]);
+        return ready(geoQuery).then(function() {
+          assert.deepEqual(events, []);
+        });
+      });
+    });
+  });
+
+  describe("moveThreshold and moveInterval", function() {
+    it("ignores moves shorter than the move threshold until they add up", function() {
+      var geoQuery = query({ center: [0, 0], radius: 1000, units: "m" }, { moveThreshold: 50 });
+      var moves = [];
+      geoQuery.on("key_moved", function(key, location) {
+        moves.push(Math.round(location[1] / common.metersEast(1)));
+      });
+      return geoFire.set("a", [0, 0]).then(function() {
+        return geoFire.set("a", [0, common.metersEast(30)]);
+      }).then(function() {
+        return geoFire.set("a", [0, common.metersEast(60)]);
+      }).then(function() {
+        assert.deepEqual(moves, [60]);
+      });
+    });
+
+    it("fires key_moved at most once per move interval with the latest location", function() {
+      var geoQuery = query({ center: [0, 0], radius: 10 }, { moveInterval: 40 });
+      var moves = [];
+      geoQuery.on("key_moved", function(key, location) {
+        moves.push(location[1]);
+      });
+      return geoFire.set("a", [0, 0]).then(function() {
+        return geoFire.set("a", [0, 0.001]);
+      }).then(function() {
+        return geoFire.set("a", [0, 0.002]);
+      }).then(function() {
+        assert.deepEqual(moves, []);
+        return wait(80);
+      }).then(function() {
+        assert.deepEqual(moves, [0.002]);
+      });
+    });
+  });
+
+  describe("changes", function() {
+    function summarize(changes) {
+      return {
+        entered: changes.entered.map(function(change) { return change.key; }).sort(),
+        exited: changes.exited.map(function(change) { return change.key; }).sort(),
+        moved: changes.moved.map(function(change) { return change.key; }).sort()
+      };
+    }
+
+    it("coalesces the changes of a window", function() {
+      var geoQuery = query({ center: [0, 0], radius: 10 }, { changesWindow: 30 });
+      var batches = [];
+      return geoFire.set({ a: [0, 0], b: [0, 0.01], c: [0, 0.02] }).then(function() {
+        return ready(geoQuery);
+      }).then(function() {
+        geoQuery.on("changes", function(changes) {
+          batches.push(summarize(changes));
+        });
+        return wait(50);
+      }).then(function() {
+        return geoFire.set({ a: [0, 0.005], b: [1, 1], d: [0, 0.03] });
+      }).then(function() {
+        return geoFire.set({ e: [0, 0.04] });
+      }).then(function() {
+        return geoFire.remove("e");
+      }).then(function() {
+        return wait(60);
+      }).then(function() {
+        assert.deepEqual(batches, [
+          { entered: ["a", "b", "c"], exited: [], moved: [] },
+          { entered: ["d"], exited: ["b"], moved: ["a"] }
+        ]);
+      });
+    });
+
+    it("leaves out a key which ends the window where it started it", function() {
+      var geoQuery = query({ center: [0, 0], radius: 10 }, { changesWindow: 30 });
+      var batches = [];
+      return geoFire.set({ a: [0, 0], b: [0, 0.01] }).then(function() {
+        return ready(geoQuery);
+      }).then(function() {
+        geoQuery.on("changes", function(changes) {
+          batches.push(summarize(changes));
+        });
+        return wait(50);
+      }).then(function() {
+        return geoFire.set("a", [5, 5]);
+      }).then(function() {
+        return geoFire.set("a", [0, 0]);
+      }).then(function() {
+        return geoFire.set("b", [5, 5]);
+      }).then(function() {
+        return geoFire.set("b", [0, 0.02]);
+      }).then(function() {
+        return wait(60);
+      }).then(function() {
+        assert.deepEqual(batches.slice(1), [{ entered: [], exited: [], moved: ["b"] }]);
+      });
+    });
+  });
+
+  describe("clusters", function() {
+    it("groups the keys by geohash prefix and fires clusters_changed", function() {
+      var geoQuery = query({ center: [0, 0], radius: 500 }, { cluster: 2 });
+      var updates = [];
+      geoQuery.on("clusters_changed", function(clusters) {
+        updates.push(clusters);
+      });
+      return geoFire.set({ a: [0.1, 0.1], b: [0.2, 0.2], c: [-2, -2] }).then(function() {
+        var counts = geoQuery.clusters().map(function(cluster) {
+          return cluster.count;
+        }).sort();
+        assert.deepEqual(counts, [1, 2]);
+        assert.ok(updates.length > 0);
+        return geoFire.remove("c");
+      }).then(function() {
+        return wait(20);
+      }).then(function() {
+        assert.strictEqual(updates[updates.length - 1].removed.length, 1);
+        assert.strictEqual(geoQuery.clusters().length, 1);
+      });
+    });
+
+    it("requires the cluster option for clusters_changed", function() {
+      var geoQuery = query({ center: [0, 0], radius: 10 });
+      assert.throws(function() {
+        geoQuery.on("clusters_changed", function() {});
+      }, /cluster query option/);
+    });
+  });
+
+  describe("density", function() {
+    it("counts the keys of each cell and fires density_changed", function() {
+      var geoQuery = query({ center: [0, 0], radius: 500 }, { density: 2 });
+      var updates = [];
+      geoQuery.on("density_changed", function(cells) {
+        updates.push(cells);
+      });
+      return geoFire.set({ a: [0.1, 0.1], b: [0.2, 0.2], c: [-2, -2] }).then(function() {
+        var counts = geoQuery.density().map(function(cell) {
+          return cell.count;
+        }).sort();
+        assert.deepEqual(counts, [1, 2]);
+        return geoFire.remove("c");
+      }).then(function() {
+        return wait(20);
+      }).then(function() {
+        var last = updates[updates.length - 1];
+        assert.strictEqual(last.length, 1);
+        assert.strictEqual(last[0].count, 0);
+      });
+    });
+  });
+
+  describe("updatePosition()", function() {
+    it("only moves the center beyond the follow threshold or after the follow interval", function() {
+      var geoQuery = query({ center: [0, 0], radius: 1 }, { followThreshold: 0.2, followInterval: 40 });
+      return ready(geoQuery).then(function() {
+        geoQuery.updatePosition([0, 0.001]);
+        assert.deepEqual(geoQuery.center(), [0, 0]);
+        return wait(80);
+      }).then(function() {
+        assert.deepEqual(geoQuery.center(), [0, 0.001]);
+        geoQuery.updatePosition([0, 0.005]);
+        assert.deepEqual(geoQuery.center(), [0, 0.005]);
+      });
+    });
+
+    it("can only be called on circular queries", function() {
+      var geoQuery = query({ bounds: [[0, 0], [1, 1]] });
+      assert.throws(function() {
+        geoQuery.updatePosition([0, 0]);
+      });
+    });
+  });
+
+  describe("events() and subscribe()", function() {
+    it("iterates over the events of the query", function() {
+      var geoQuery = query({ center: [0, 0], radius: 10 });
+      var iterator = geoQuery.events();
+      return geoFire.set("a", [0, 0]).then(function() {
+        return iterator.next();
+      }).then(function(result) {
+        assert.strictEqual(result.done, false);
+        assert.strictEqual(result.value.type, "key_entered");
+        assert.strictEqual(result.value.key, "a");
+        var next = iterator.next();
+        geoQuery.cancel();
+        return next;
+      }).then(function(result) {
+        assert.strictEqual(result.done, true);
+      });
+    });
+
+    it("passes the events to an observer and completes it on cancel", function() {
+      var geoQuery = query({ center: [0, 0], radius: 10 });
+      var events = [];
+      var completed = false;
+      var subscription = geoQuery["@@observable"]().subscribe({
+        next: function(event) {
+          events.push(event.type + ":" + event.key);
+        },
+        complete: function() {
+          completed = true;
+        }
+      });
+      return geoFire.set("a", [0, 0]).then(function() {
+        geoQuery.cancel();
+        assert.deepEqual(events, ["key_entered:a"]);
+        assert.ok(completed);
+        assert.ok(subscription.closed);
+      });
+    });
+
+    it("passes the first error of the query to the observer and ends the subscription", function() {
+      adapter.failRangeReads = Infinity;
+      var geoQuery = query({ center: [0, 0], radius: 10 });
+      var errors = [];
+      var completed = false;
+      var subscription = geoQuery.subscribe(function() {}, function(error) {
+        errors.push(error.message);
+      }, function() {
+        completed = true;
+      });
+      return ready(geoQuery).then(function() {
+        adapter.failRangeReads = 0;
+        assert.deepEqual(errors, ["permission_denied"]);
+        assert.ok(subscription.closed);
+        geoQuery.cancel();
+        assert.ok(!completed);
+      });
+    });
+  });
+
+  describe("failed ranges", function() {
+    it("exits the keys of the ranges which fail, and stays consistent through the next clean up", function() {
+      this.timeout(15000);
+      var failedAfterLoading = query({ center: [0, 0], radius: 10 });
+      var failedWhileLoading;
+      var events = recordEvents(failedAfterLoading);
+      var loadingEvents;
+      var errors = [];
+      var onError = function(error) {
+        errors.push(error.message);
+      };
+      failedAfterLoading.on("error", onError);
+      return geoFire.set({ a: [0, 0], b: [10, 10] }).then(function() {
+        return ready(failedAfterLoading);
+      }).then(function() {
+        adapter.failListeners(new Error("permission_denied"));
+
+        // The listeners report the keys of their ranges as they attach, before the range reads fail
+        adapter.failRangeReads = Infinity;
+        failedWhileLoading = query({ center: [10, 10], radius: 10 });
+        failedWhileLoading.on("error", onError);
+        loadingEvents = recordEvents(failedWhileLoading);
+        return ready(failedWhileLoading);
+      }).then(function() {
+        adapter.failRangeReads = 0;
+        assert.deepEqual(events, ["key_entered:a", "key_exited:a"]);
+        assert.deepEqual(loadingEvents, ["key_entered:b", "key_exited:b"]);
+        assert.ok(errors.length > 0);
+        errors.forEach(function(message) {
+          assert.strictEqual(message, "permission_denied");
+        });
+
+        // Let the periodic clean up of the queries run
+        return wait(10500);
+      }).then(function() {
+        failedAfterLoading.updateCriteria({ radius: 11 });
+        return ready(failedAfterLoading);
+      }).then(function() {
+        assert.deepEqual(events, ["key_entered:a", "key_exited:a", "key_entered:a"]);
+      });
+    });
+  });
+});
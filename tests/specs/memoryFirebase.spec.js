@@ -0,0 +1,65 @@
+var assert = require("assert");
+var common = require("../common.js");
+var GeoFire = common.GeoFire;
+
+describe("MemoryFirebase", function() {
+  var adapter;
+
+  beforeEach(function() {
+    adapter = new GeoFire.NativeScriptFirebaseAdapter(new GeoFire.MemoryFirebase({ geo: { a: { g: "a" } } }));
+  });
+
+  it("starts with the initial data", function() {
+    return adapter.once("/geo/a").then(function(value) {
+      assert.deepEqual(value, { g: "a" });
+    });
+  });
+
+  it("reads ranges of children", function() {
+    return adapter.update("/geo", { b: { g: "b" }, c: { g: "c" }, d: { g: "d" } }).then(function() {
+      return adapter.once("/geo", { child: "g", start: "b", end: "c" });
+    }).then(function(value) {
+      assert.deepEqual(value, { b: { g: "b" }, c: { g: "c" } });
+    });
+  });
+
+  it("fires the events of the children entering, changing within and leaving a range until it stops listening", function() {
+    var events = [];
+    var range = { child: "g", start: "b", end: "c" };
+    return adapter.update("/geo", { b: { g: "b" }, c: { g: "c" }, d: { g: "d" } }).then(function() {
+      return adapter.listen("/geo", range, function(eventType, key) {
+        events.push(eventType + ":" + key);
+      });
+    }).then(function(handle) {
+      return adapter.update("/geo", { a: { g: "bb" }, b: { g: "z" }, c: { g: "c", n: 1 } }).then(function() {
+        adapter.unlisten(handle);
+        return adapter.update("/geo", { d: { g: "b" } });
+      });
+    }).then(function() {
+      assert.deepEqual(events.sort(), [
+        "child_added:a",
+        "child_added:b",
+        "child_added:c",
+        "child_changed:c",
+        "child_removed:b"
+      ]);
+    });
+  });
+
+  it("removes children set to null", function() {
+    return adapter.update("/geo", { a: null }).then(function() {
+      return adapter.once("/geo/a");
+    }).then(function(value) {
+      assert.strictEqual(value, null);
+    });
+  });
+
+  it("resolves server timestamps", function() {
+    var before = Date.now();
+    return adapter.update("/geo", { b: { t: { ".sv": "timestamp" } } }).then(function() {
+      return adapter.once("/geo/b/t");
+    }).then(function(value) {
+      assert.ok(value >= before && value <= Date.now());
+    });
+  });
+});